@@ -0,0 +1,153 @@
+import { cachedFetch, clearCache, invalidateCache } from '../cache';
+
+/**
+ * Returns a promise together with the functions settling it.
+ */
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+describe('cachedFetch', () => {
+  let now;
+
+  beforeEach(() => {
+    clearCache();
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it(`serves a fresh response from the cache`, async () => {
+    const fetcher = jest.fn().mockResolvedValue([{ id: 3 }]);
+
+    await cachedFetch('/project?id=eq.3', fetcher);
+    now += 4 * 60 * 1000;
+    const data = await cachedFetch('/project?id=eq.3', fetcher);
+
+    expect(data).toEqual([{ id: 3 }]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it(`fetches again once the response has expired`, async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce(['old'])
+      .mockResolvedValueOnce(['new']);
+
+    await cachedFetch('/project_participant_counts?project_id=eq.3', fetcher);
+    now += 61 * 1000;
+    const data = await cachedFetch(
+      '/project_participant_counts?project_id=eq.3',
+      fetcher
+    );
+
+    expect(data).toEqual(['new']);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it(`does not cache endpoints without a TTL`, async () => {
+    const fetcher = jest.fn().mockResolvedValue([]);
+
+    await cachedFetch('/tracking?project_id=eq.3', fetcher);
+    await cachedFetch('/tracking?project_id=eq.3', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it(`shares identical requests in progress`, async () => {
+    const response = deferred();
+    const fetcher = jest.fn(() => response.promise);
+
+    const first = cachedFetch('/tracking?project_id=eq.3', fetcher);
+    const second = cachedFetch('/tracking?project_id=eq.3', fetcher);
+    response.resolve(['row']);
+
+    expect(await first).toEqual(['row']);
+    expect(await second).toEqual(['row']);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it(`returns an expired response straight away and reports a changed one`, async () => {
+    const refresh = deferred();
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce(['old'])
+      .mockImplementationOnce(() => refresh.promise);
+    const onUpdate = jest.fn();
+
+    await cachedFetch('/project', fetcher);
+    now += 6 * 60 * 1000;
+    const data = await cachedFetch('/project', fetcher, onUpdate);
+
+    expect(data).toEqual(['old']);
+    refresh.resolve(['new']);
+    await refresh.promise;
+    await new Promise(setImmediate);
+    expect(onUpdate).toHaveBeenCalledWith(['new']);
+  });
+
+  it(`does not report a refresh that has not changed`, async () => {
+    const fetcher = jest.fn().mockResolvedValue(['same']);
+    const onUpdate = jest.fn();
+
+    await cachedFetch('/project', fetcher);
+    now += 6 * 60 * 1000;
+    await cachedFetch('/project', fetcher, onUpdate);
+    await new Promise(setImmediate);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('invalidateCache', () => {
+  beforeEach(() => {
+    clearCache();
+  });
+
+  it(`clears every response of the changed path`, async () => {
+    const fetcher = jest.fn().mockResolvedValue([]);
+
+    await cachedFetch('/location?project_id=eq.3', fetcher);
+    invalidateCache('/location?id=eq.12');
+    await cachedFetch('/location?project_id=eq.3', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it(`clears the participant counts when a visit is recorded`, async () => {
+    const counts = jest.fn().mockResolvedValue([]);
+    const projects = jest.fn().mockResolvedValue([]);
+
+    await cachedFetch('/project_participant_counts?project_id=in.(1,2)', counts);
+    await cachedFetch('/project', projects);
+    invalidateCache('/tracking');
+    await cachedFetch('/project_participant_counts?project_id=in.(1,2)', counts);
+    await cachedFetch('/project', projects);
+
+    expect(counts).toHaveBeenCalledTimes(2);
+    expect(projects).toHaveBeenCalledTimes(1);
+  });
+
+  it(`does not cache a response started before the invalidation`, async () => {
+    const response = deferred();
+    const fetcher = jest
+      .fn()
+      .mockImplementationOnce(() => response.promise)
+      .mockResolvedValueOnce(['new']);
+
+    const stale = cachedFetch('/project', fetcher);
+    invalidateCache('/project');
+    response.resolve(['old']);
+    await stale;
+
+    expect(await cachedFetch('/project', fetcher)).toEqual(['new']);
+  });
+});
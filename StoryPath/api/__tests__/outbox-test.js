@@ -0,0 +1,184 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { buildTrackingRecord, createTracking, findTracking } from '../api';
+import { NetworkError, ServerError, ValidationError } from '../errors';
+import { enqueueTracking, flushOutbox } from '../outbox';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () => ({
+  addEventListener: jest.fn(() => jest.fn()),
+}));
+jest.mock('../api', () => ({
+  buildTrackingRecord: jest.fn(),
+  createTracking: jest.fn(),
+  findTracking: jest.fn(),
+}));
+
+const visit = {
+  projectId: 3,
+  locationId: 12,
+  participantUsername: 'alice',
+  unlockMethod: 'qr',
+  timestamp: '2024-05-01T10:00:00.000Z',
+};
+
+const trackingRecord = {
+  project_id: 3,
+  location_id: 12,
+  participant_username: 'alice',
+  points: 0,
+  visited_at: '2024-05-01T10:00:00.000Z',
+  unlock_method: 'qr',
+};
+
+const readOutbox = async () =>
+  JSON.parse((await AsyncStorage.getItem('trackingOutbox')) ?? '[]');
+
+/**
+ * Holds the next createTracking request until the test responds to it.
+ */
+const holdNextSend = () => {
+  const send = {};
+  send.started = new Promise((started) => {
+    createTracking.mockImplementationOnce(() => {
+      started();
+      return new Promise((resolve) => {
+        send.respond = resolve;
+      });
+    });
+  });
+  return send;
+};
+
+describe('outbox', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    jest.clearAllMocks();
+    await AsyncStorage.clear();
+    buildTrackingRecord.mockResolvedValue(trackingRecord);
+    findTracking.mockResolvedValue([]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it(`stores a visit without waiting for it to be sent`, async () => {
+    const send = holdNextSend();
+
+    await enqueueTracking(visit);
+    await send.started;
+    const [record] = await readOutbox();
+    expect(record.visit).toEqual(visit);
+
+    send.respond([trackingRecord]);
+    expect(await flushOutbox()).toBe(0);
+    expect(createTracking).toHaveBeenCalledWith(visit);
+    expect(await readOutbox()).toEqual([]);
+  });
+
+  it(`does not queue an invalid visit`, async () => {
+    buildTrackingRecord.mockRejectedValue(
+      new ValidationError('Invalid tracking record: points', ['points'])
+    );
+
+    await expect(enqueueTracking(visit)).rejects.toThrow(ValidationError);
+    expect(await readOutbox()).toEqual([]);
+  });
+
+  it(`keeps a visit for retry when the backend cannot be reached`, async () => {
+    createTracking.mockRejectedValue(new NetworkError('offline'));
+
+    await enqueueTracking(visit);
+    expect(await flushOutbox()).toBe(1);
+    const [record] = await readOutbox();
+    expect(record.visit).toEqual(visit);
+    expect(record.attempts).toBe(1);
+    expect(record.nextAttemptAt).toBeGreaterThan(Date.now());
+  });
+
+  it(`reports and drops a visit the backend rejects`, async () => {
+    createTracking.mockRejectedValue(
+      new ValidationError('bad record', [], { status: 400 })
+    );
+
+    await enqueueTracking(visit);
+    expect(await flushOutbox()).toBe(0);
+    expect(await readOutbox()).toEqual([]);
+    expect(console.error).toHaveBeenCalledWith(
+      'Dropping tracking the backend rejected:',
+      visit
+    );
+  });
+
+  it(`does not post a retried visit the backend already holds`, async () => {
+    createTracking.mockRejectedValueOnce(
+      new ServerError('unavailable', { status: 503 })
+    );
+    await enqueueTracking(visit);
+    await flushOutbox();
+
+    findTracking.mockResolvedValue([trackingRecord]);
+    jest.setSystemTime(Date.now() + 60 * 1000);
+    expect(await flushOutbox()).toBe(0);
+
+    expect(findTracking).toHaveBeenCalledWith(trackingRecord);
+    expect(createTracking).toHaveBeenCalledTimes(1);
+    expect(await readOutbox()).toEqual([]);
+  });
+
+  it(`waits for the backoff before retrying`, async () => {
+    createTracking.mockRejectedValueOnce(
+      new ServerError('unavailable', { status: 503 })
+    );
+    await enqueueTracking(visit);
+    await flushOutbox();
+
+    createTracking.mockResolvedValue([trackingRecord]);
+    expect(await flushOutbox()).toBe(1);
+    expect(createTracking).toHaveBeenCalledTimes(1);
+
+    jest.setSystemTime(Date.now() + 60 * 1000);
+    expect(await flushOutbox()).toBe(0);
+    expect(createTracking).toHaveBeenCalledTimes(2);
+  });
+
+  it(`shares a flush between concurrent callers`, async () => {
+    createTracking.mockRejectedValueOnce(new NetworkError('offline'));
+    await enqueueTracking(visit);
+    await flushOutbox();
+    jest.setSystemTime(Date.now() + 60 * 1000);
+    createTracking.mockResolvedValue([trackingRecord]);
+
+    const [first, second] = await Promise.all([flushOutbox(), flushOutbox()]);
+
+    expect(first).toBe(0);
+    expect(second).toBe(0);
+    expect(createTracking).toHaveBeenCalledTimes(2);
+  });
+
+  it(`queues visits while a flush is in progress`, async () => {
+    const send = holdNextSend();
+    createTracking.mockRejectedValue(new NetworkError('offline'));
+
+    await enqueueTracking(visit);
+    await send.started;
+    await enqueueTracking({ ...visit, locationId: 13 });
+    expect(await readOutbox()).toHaveLength(2);
+
+    send.respond([trackingRecord]);
+    await flushOutbox();
+    // The visit queued during the flush is sent by the retry scheduled straight after it
+    await jest.advanceTimersByTimeAsync(0);
+    await flushOutbox();
+
+    expect(createTracking).toHaveBeenCalledTimes(2);
+    const records = await readOutbox();
+    expect(records.map((record) => record.visit.locationId)).toEqual([13]);
+  });
+});
@@ -0,0 +1,84 @@
+import {
+  getLocationParticipantCounts,
+  getProjectParticipantCounts,
+} from '../api';
+import { clearCache } from '../cache';
+
+jest.mock('../config', () => ({
+  getApiConfig: async () => ({
+    apiBaseUrl: 'https://api.example.com',
+    jwtToken: 'token',
+    username: 'owner',
+  }),
+  getParticipantUsername: () => 'alice',
+}));
+jest.mock('../offlineStore', () => ({
+  getOfflinePacks: async () => ({}),
+  readOfflinePack: async () => null,
+}));
+
+/**
+ * Makes fetch answer with the given rows.
+ */
+const respondWith = (rows) => {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    status: 200,
+    json: async () => rows,
+  }));
+};
+
+describe('participant counts', () => {
+  beforeEach(() => {
+    clearCache();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  it(`fetches the counts of many locations in one query`, async () => {
+    respondWith([
+      { location_id: 12, participant_count: 4 },
+      { location_id: 3, participant_count: 1 },
+    ]);
+
+    const counts = await getLocationParticipantCounts([12, 3, 7, 12]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      'https://api.example.com/location_participant_counts?location_id=in.(3,7,12)'
+    );
+    expect(counts).toEqual({ 3: 1, 7: 0, 12: 4 });
+  });
+
+  it(`shares one cache entry for the same locations in any order`, async () => {
+    respondWith([{ location_id: 3, participant_count: 2 }]);
+
+    await getLocationParticipantCounts([3, 7]);
+    const counts = await getLocationParticipantCounts([7, 3]);
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(counts).toEqual({ 3: 2, 7: 0 });
+  });
+
+  it(`fetches the counts of many projects in one query`, async () => {
+    respondWith([{ project_id: 2, participant_count: 5 }]);
+
+    const counts = await getProjectParticipantCounts([2, 1]);
+
+    expect(global.fetch.mock.calls[0][0]).toBe(
+      'https://api.example.com/project_participant_counts?project_id=in.(1,2)'
+    );
+    expect(counts).toEqual({ 1: 0, 2: 5 });
+  });
+
+  it(`sends no request without IDs`, async () => {
+    respondWith([]);
+
+    expect(await getLocationParticipantCounts([])).toEqual({});
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
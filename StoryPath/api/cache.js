@@ -0,0 +1,111 @@
+// api/cache.js
+
+// How long GET responses stay fresh, by endpoint path. Paths not listed are not cached,
+// but identical requests in flight at the same time are still shared.
+const CACHE_TTLS = {
+  "/project": 5 * 60 * 1000,
+  "/location": 5 * 60 * 1000,
+  "/project_participant_counts": 60 * 1000,
+  "/location_participant_counts": 60 * 1000,
+};
+
+// Cached paths that a change to another path makes out of date, besides that path itself
+const DEPENDENT_PATHS = {
+  "/tracking": ["/project_participant_counts", "/location_participant_counts"],
+};
+
+// Cached responses by endpoint, each with its data and when it was fetched
+const entries = new Map();
+// Requests in progress by endpoint, shared by concurrent callers
+const inFlight = new Map();
+
+/**
+ * Returns the path of an endpoint, without its query string.
+ *
+ * @param {string} endpoint - The endpoint, e.g. "/project?id=eq.3".
+ * @returns {string} The path, e.g. "/project".
+ */
+function getPath(endpoint) {
+  return endpoint.split("?")[0];
+}
+
+/**
+ * Fetches an endpoint, sharing the request with any identical request already in progress,
+ * and caches the response if the endpoint is cacheable.
+ *
+ * @param {string} endpoint - The endpoint, used as the cache key.
+ * @param {Function} fetcher - Performs the request.
+ * @returns {Promise<*>} The response data.
+ */
+function fetchShared(endpoint, fetcher) {
+  if (inFlight.has(endpoint)) return inFlight.get(endpoint);
+
+  const request = fetcher()
+    .then((data) => {
+      // A response started before an invalidation may already be out of date
+      if (CACHE_TTLS[getPath(endpoint)] && inFlight.get(endpoint) === request) {
+        entries.set(endpoint, { data, fetchedAt: Date.now() });
+      }
+      return data;
+    })
+    .finally(() => {
+      if (inFlight.get(endpoint) === request) inFlight.delete(endpoint);
+    });
+  inFlight.set(endpoint, request);
+  return request;
+}
+
+/**
+ * Returns the response for a GET endpoint from the cache while it is fresh, otherwise fetches it.
+ * With onUpdate, an expired response is returned straight away while it is refreshed in the
+ * background (stale-while-revalidate); onUpdate receives the fresh data if it has changed.
+ *
+ * @param {string} endpoint - The endpoint, used as the cache key.
+ * @param {Function} fetcher - Performs the request.
+ * @param {Function} [onUpdate] - Called with the fresh data after a background refresh.
+ * @returns {Promise<*>} The response data.
+ */
+export async function cachedFetch(endpoint, fetcher, onUpdate) {
+  const ttl = CACHE_TTLS[getPath(endpoint)] ?? 0;
+  const entry = entries.get(endpoint);
+  if (entry && Date.now() - entry.fetchedAt < ttl) {
+    return entry.data;
+  }
+
+  if (entry && onUpdate) {
+    fetchShared(endpoint, fetcher)
+      .then((data) => {
+        if (JSON.stringify(data) !== JSON.stringify(entry.data)) onUpdate(data);
+      })
+      .catch((error) =>
+        console.warn(`Background refresh of ${endpoint} failed:`, error)
+      );
+    return entry.data;
+  }
+  return fetchShared(endpoint, fetcher);
+}
+
+/**
+ * Removes the cached responses that a change to an endpoint makes out of date: every
+ * response of the same path, and of the paths that depend on it. Requests of those paths
+ * still in progress are no longer shared or cached.
+ *
+ * @param {string} endpoint - The changed endpoint, e.g. "/location?id=eq.12".
+ */
+export function invalidateCache(endpoint) {
+  const path = getPath(endpoint);
+  const paths = [path, ...(DEPENDENT_PATHS[path] ?? [])];
+  for (const cache of [entries, inFlight]) {
+    for (const key of cache.keys()) {
+      if (paths.includes(getPath(key))) cache.delete(key);
+    }
+  }
+}
+
+/**
+ * Removes every cached response, e.g. after switching to another backend.
+ */
+export function clearCache() {
+  entries.clear();
+  inFlight.clear();
+}
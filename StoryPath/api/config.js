@@ -0,0 +1,179 @@
+// api/config.js
+
+import Constants from "expo-constants";
+import * as SecureStore from "expo-secure-store";
+import { clearCache } from "./cache";
+import { decodeBase64 } from "../utils/base64";
+
+// Keys used to store configuration overrides in secure storage
+const STORAGE_KEYS = {
+  apiBaseUrl: "storypath_api_base_url",
+  jwtToken: "storypath_jwt_token",
+  username: "storypath_username",
+};
+
+// Roles: participants play projects, creators can also author them
+export const ROLE_PARTICIPANT = "participant";
+export const ROLE_CREATOR = "creator";
+
+// Configuration from the Expo config (app.json "extra") and EXPO_PUBLIC_* environment variables
+const extra = Constants.expoConfig?.extra ?? {};
+
+/**
+ * Default API configuration for this build.
+ * Environment variables take precedence over values in app.json.
+ */
+export const DEFAULT_API_CONFIG = {
+  apiBaseUrl: process.env.EXPO_PUBLIC_API_BASE_URL || extra.apiBaseUrl || "",
+  jwtToken: process.env.EXPO_PUBLIC_JWT_TOKEN || extra.jwtToken || "",
+  username: process.env.EXPO_PUBLIC_USERNAME || extra.username || "",
+};
+
+// Overrides loaded from secure storage, cached after the first read
+let overrides = null;
+// Username of the active participant profile, sent as the participant identity
+let participantUsername = "";
+// Functions called after the configuration changes
+const listeners = new Set();
+
+/**
+ * Loads the configuration overrides saved from the settings screen.
+ *
+ * @returns {Promise<object>} The saved overrides; missing values are omitted.
+ */
+async function loadOverrides() {
+  if (overrides) return overrides;
+
+  const loaded = {};
+  try {
+    for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+      const value = await SecureStore.getItemAsync(key);
+      if (value) loaded[field] = value;
+    }
+  } catch (error) {
+    console.error("Error reading API configuration:", error);
+  }
+  overrides = loaded;
+  return overrides;
+}
+
+/**
+ * Returns the active API configuration: the build defaults with any saved overrides applied.
+ *
+ * @returns {Promise<{apiBaseUrl: string, jwtToken: string, username: string}>} The active configuration.
+ */
+export async function getApiConfig() {
+  const saved = await loadOverrides();
+  return { ...DEFAULT_API_CONFIG, ...saved };
+}
+
+/**
+ * Saves configuration overrides to secure storage. Empty values remove the override
+ * so the build default is used again.
+ *
+ * @param {object} config - The values to save.
+ * @param {string} [config.apiBaseUrl] - Base URL of the StoryPath RESTful API.
+ * @param {string} [config.jwtToken] - JWT token for authorization.
+ * @param {string} [config.username] - Username that owns the created records.
+ * @returns {Promise<object>} The active configuration after saving.
+ */
+export async function saveApiConfig(config) {
+  const saved = { ...(await loadOverrides()) };
+
+  for (const [field, key] of Object.entries(STORAGE_KEYS)) {
+    if (!(field in config)) continue;
+    const value = (config[field] || "").trim();
+    if (value) {
+      await SecureStore.setItemAsync(key, value);
+      saved[field] = value;
+    } else {
+      await SecureStore.deleteItemAsync(key);
+      delete saved[field];
+    }
+  }
+  overrides = saved;
+  // Cached responses may come from the previous backend
+  clearCache();
+  listeners.forEach((listener) => listener());
+  return getApiConfig();
+}
+
+/**
+ * Removes all saved overrides, restoring the build defaults.
+ *
+ * @returns {Promise<object>} The default configuration.
+ */
+export async function resetApiConfig() {
+  for (const key of Object.values(STORAGE_KEYS)) {
+    await SecureStore.deleteItemAsync(key);
+  }
+  overrides = {};
+  clearCache();
+  listeners.forEach((listener) => listener());
+  return getApiConfig();
+}
+
+/**
+ * Registers a function to call whenever the configuration is saved or reset.
+ *
+ * @param {Function} listener - Called without arguments after each change.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export function subscribeApiConfig(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Decodes the claims of a JWT. The signature is not checked; the backend does that
+ * for every request the token authorizes.
+ *
+ * @param {string} token - The JWT.
+ * @returns {object|null} The token's claims, or null if it is not a JWT.
+ */
+export function decodeJwtClaims(token) {
+  const payload = (token || "").split(".")[1];
+  if (!payload) return null;
+  try {
+    const claims = JSON.parse(decodeBase64(payload));
+    return claims && typeof claims === "object" ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the role granted by the configured JWT. The token is the creator's credential
+ * for writing projects, so only a token issued to the configured username (its `username`
+ * or `sub` claim) grants the creator role. The backend still checks the token on each write.
+ *
+ * @param {object} [config] - The configuration to check; the active configuration by default.
+ * @returns {Promise<string>} ROLE_CREATOR or ROLE_PARTICIPANT.
+ */
+export async function getConfigRole(config) {
+  const { jwtToken, username } = config ?? (await getApiConfig());
+  const claims = decodeJwtClaims(jwtToken);
+  const owner = claims?.username ?? claims?.sub;
+  return owner && username && String(owner) === username.trim()
+    ? ROLE_CREATOR
+    : ROLE_PARTICIPANT;
+}
+
+/**
+ * Sets the username of the active participant profile. API requests use it as the
+ * participant identity, separately from the configured username that owns records.
+ *
+ * @param {string} username - The participant's username, or an empty string for none.
+ */
+export function setParticipantUsername(username) {
+  participantUsername = username || "";
+}
+
+/**
+ * Returns the username of the active participant profile.
+ *
+ * @returns {string} The participant's username, or an empty string if no profile is set.
+ */
+export function getParticipantUsername() {
+  return participantUsername;
+}
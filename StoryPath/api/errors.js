@@ -0,0 +1,124 @@
+// api/errors.js
+
+/**
+ * Base class of the errors thrown by API requests.
+ * Errors for HTTP responses carry the response's status code and body text.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {object} [response={}] - The failed response, if one was received.
+   * @param {number} [response.status] - The HTTP status code.
+   * @param {string} [response.body] - The response body text.
+   */
+  constructor(message, { status, body } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Error thrown when the backend cannot be reached, e.g. while the device is offline.
+ */
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} message - Description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "NetworkError";
+  }
+}
+
+/**
+ * Error thrown when the backend does not respond within the request timeout.
+ */
+export class TimeoutError extends NetworkError {
+  /**
+   * @param {string} message - Description of the error.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "TimeoutError";
+  }
+}
+
+/**
+ * Error thrown when the backend rejects the JWT token (HTTP 401 or 403).
+ */
+export class AuthError extends ApiError {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {object} response - The failed response's status and body.
+   */
+  constructor(message, response) {
+    super(message, response);
+    this.name = "AuthError";
+  }
+}
+
+/**
+ * Error thrown when the requested endpoint or record does not exist (HTTP 404).
+ */
+export class NotFoundError extends ApiError {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {object} response - The failed response's status and body.
+   */
+  constructor(message, response) {
+    super(message, response);
+    this.name = "NotFoundError";
+  }
+}
+
+/**
+ * Error thrown when data is invalid: either it failed validation before being sent, in which
+ * case no network request is made, or the backend rejected it (HTTP 400, 409 or 422).
+ */
+export class ValidationError extends ApiError {
+  /**
+   * @param {string} message - Description of what is invalid.
+   * @param {string[]} [fields=[]] - Names of the invalid fields, when they are known.
+   * @param {object} [response] - The failed response's status and body, if the backend rejected the data.
+   */
+  constructor(message, fields = [], response = {}) {
+    super(message, response);
+    this.name = "ValidationError";
+    this.fields = fields;
+  }
+}
+
+/**
+ * Error thrown when the backend fails to handle a request (HTTP 5xx).
+ */
+export class ServerError extends ApiError {
+  /**
+   * @param {string} message - Description of the error.
+   * @param {object} response - The failed response's status and body.
+   */
+  constructor(message, response) {
+    super(message, response);
+    this.name = "ServerError";
+  }
+}
+
+/**
+ * Creates the typed error for a failed HTTP response.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {string} body - The response body text.
+ * @returns {ApiError} The error matching the status code.
+ */
+export function createResponseError(status, body) {
+  const message = `Request error! Status: ${status}, Body: ${body}`;
+  const response = { status, body };
+  if (status === 401 || status === 403) return new AuthError(message, response);
+  if (status === 404) return new NotFoundError(message, response);
+  if ([400, 409, 422].includes(status)) {
+    return new ValidationError(message, [], response);
+  }
+  if (status >= 500) return new ServerError(message, response);
+  return new ApiError(message, response);
+}
@@ -0,0 +1,105 @@
+// api/offlineStore.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system";
+
+// AsyncStorage key holding the summary of each downloaded offline pack
+const PACK_INDEX_KEY = "offlinePacks";
+
+// Directory in app storage holding one sub-directory per offline pack
+const PACK_ROOT = `${FileSystem.documentDirectory}offline/`;
+
+/**
+ * Returns the directory holding a project's offline pack.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {string} The directory URI, ending in a slash.
+ */
+export function getPackDirectory(projectId) {
+  return `${PACK_ROOT}project_${projectId}/`;
+}
+
+/**
+ * Returns the path template of a pack's map tiles, for a react-native-maps LocalTile.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {string} The template, with {z}, {x} and {y} placeholders.
+ */
+export function getPackTileTemplate(projectId) {
+  return `${getPackDirectory(projectId)}tiles/{z}/{x}/{y}.png`;
+}
+
+/**
+ * Returns the summaries of all downloaded offline packs.
+ *
+ * @returns {Promise<object>} Summaries keyed by project ID, each with projectId, title,
+ * size (bytes), syncedAt (ISO 8601), mediaCount and tileCount.
+ */
+export async function getOfflinePacks() {
+  const data = await AsyncStorage.getItem(PACK_INDEX_KEY);
+  return data ? JSON.parse(data) : {};
+}
+
+/**
+ * Reads a project's offline pack.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<{project: object, locations: Array} | null>} The stored project and its
+ * locations, with media pointing at the downloaded files, or null if there is no pack.
+ */
+export async function readOfflinePack(projectId) {
+  const packs = await getOfflinePacks();
+  if (!packs[projectId]) return null;
+  try {
+    const data = await FileSystem.readAsStringAsync(
+      `${getPackDirectory(projectId)}pack.json`
+    );
+    return JSON.parse(data);
+  } catch (error) {
+    console.error(`Error reading offline pack ${projectId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Stores a project's offline pack and its summary. The media and tiles must already
+ * have been downloaded into the pack directory.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {object} summary - The pack's size, mediaCount and tileCount.
+ * @returns {Promise<object>} The stored summary, with the sync time.
+ */
+export async function writeOfflinePack(project, locations, summary) {
+  const data = JSON.stringify({ project, locations });
+  await FileSystem.writeAsStringAsync(
+    `${getPackDirectory(project.id)}pack.json`,
+    data
+  );
+
+  const packs = await getOfflinePacks();
+  packs[project.id] = {
+    projectId: project.id,
+    title: project.title,
+    ...summary,
+    size: summary.size + data.length,
+    syncedAt: new Date().toISOString(),
+  };
+  await AsyncStorage.setItem(PACK_INDEX_KEY, JSON.stringify(packs));
+  return packs[project.id];
+}
+
+/**
+ * Removes a project's offline pack and all of its files.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<void>}
+ */
+export async function deleteOfflinePack(projectId) {
+  const packs = await getOfflinePacks();
+  delete packs[projectId];
+  await AsyncStorage.setItem(PACK_INDEX_KEY, JSON.stringify(packs));
+  await FileSystem.deleteAsync(getPackDirectory(projectId), {
+    idempotent: true,
+  });
+}
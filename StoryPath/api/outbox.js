@@ -0,0 +1,279 @@
+// api/outbox.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { AppState } from "react-native";
+import { buildTrackingRecord, createTracking, findTracking } from "./api";
+import { NetworkError, ValidationError } from "./errors";
+
+// AsyncStorage key holding the pending tracking records. The outbox is shared by all
+// profiles on the device: each record names its participant, so queued visits keep
+// syncing after a profile switch.
+const OUTBOX_KEY = "trackingOutbox";
+
+// Retry backoff: 5 s doubling up to 10 minutes, with up to 20% random jitter
+const BASE_RETRY_DELAY = 5 * 1000;
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+// Timer for the next scheduled retry while the app is running
+let retryTimer = null;
+// The flush currently in progress or waiting for the lock, shared by concurrent callers
+let activeFlush = null;
+// Settles when the last queued outbox update has finished
+let outboxLock = Promise.resolve();
+
+/**
+ * Generates a unique key identifying a record in the outbox across retries. The key
+ * stays on the device: PostgREST has no idempotency support, so a replayed record is
+ * detected with findTracking instead.
+ *
+ * @returns {string} The idempotency key.
+ */
+function generateIdempotencyKey() {
+  const random = Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}-${random}`;
+}
+
+/**
+ * Calculates how long to wait before the next attempt of a record.
+ *
+ * @param {number} attempts - The number of failed attempts so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  return delay + Math.random() * delay * 0.2;
+}
+
+/**
+ * Checks whether a failed request may succeed if it is sent again.
+ * Client errors (other than timeouts and rate limits) will fail every time.
+ *
+ * @param {Error} error - The error thrown by the request.
+ * @returns {boolean} True if the record should be retried.
+ */
+function isRetryable(error) {
+  if (error instanceof ValidationError) return false;
+  if (error instanceof NetworkError) return true; // No response, or none in time
+  return error.status >= 500 || error.status === 408 || error.status === 429;
+}
+
+/**
+ * Reads the outbox from AsyncStorage.
+ *
+ * @returns {Promise<Array>} The stored outbox records.
+ */
+async function readOutbox() {
+  const data = await AsyncStorage.getItem(OUTBOX_KEY);
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Writes the outbox to AsyncStorage.
+ *
+ * @param {Array} records - The outbox records to store.
+ * @returns {Promise<void>}
+ */
+async function writeOutbox(records) {
+  await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(records));
+}
+
+/**
+ * Runs an update of the outbox once every update queued before it has finished, so
+ * that only one of them reads and rewrites the outbox at a time.
+ *
+ * @param {Function} task - Async function reading and writing the outbox.
+ * @returns {Promise<*>} The task's result.
+ */
+function withOutboxLock(task) {
+  const result = outboxLock.then(task);
+  outboxLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Adds a location visit to the persistent outbox and starts a flush to send it, without
+ * waiting for the flush: the visit is safe once it is stored. The visit is validated
+ * first, so invalid records never enter the outbox.
+ *
+ * @param {object} visit - The location visit to send with createTracking.
+ * @returns {Promise<void>} Resolves once the record is stored in the outbox.
+ * @throws {ValidationError} If the visit is missing required fields.
+ */
+export async function enqueueTracking(visit) {
+  const trackingRecord = await buildTrackingRecord(visit);
+  const record = {
+    idempotencyKey: generateIdempotencyKey(),
+    visit: {
+      ...visit,
+      participantUsername: trackingRecord.participant_username,
+    },
+    attempts: 0,
+    nextAttemptAt: 0,
+    createdAt: Date.now(),
+  };
+  await withOutboxLock(async () => {
+    const records = await readOutbox();
+    await writeOutbox([...records, record]);
+  });
+
+  flushOutbox().catch((error) => console.error("Outbox sync error:", error));
+}
+
+/**
+ * Sends a single outbox record. A record that has been attempted before is first looked
+ * up on the backend, so a request that succeeded without its response arriving is not
+ * posted a second time.
+ *
+ * @param {object} record - The outbox record to send.
+ * @returns {Promise<void>}
+ * @throws Will throw the request error if sending fails.
+ */
+async function sendRecord(record) {
+  if (record.attempts > 0) {
+    const existing = await findTracking(
+      await buildTrackingRecord(record.visit)
+    );
+    if (existing.length > 0) {
+      console.log(`Tracking ${record.idempotencyKey} already recorded.`);
+      return;
+    }
+  }
+  try {
+    await createTracking(record.visit);
+  } catch (error) {
+    // Conflict: the backend already holds this record
+    if (error.status === 409) return;
+    throw error;
+  }
+}
+
+/**
+ * Sends every due record in the outbox. Sent records are removed; failed records are
+ * rescheduled with exponential backoff, or reported and dropped if retrying cannot help.
+ * Concurrent calls share the same flush. The outbox is only locked while it is read and
+ * rewritten, so visits can be queued while the records are being sent.
+ *
+ * @returns {Promise<number>} The number of records still waiting to be sent.
+ */
+export function flushOutbox() {
+  if (!activeFlush) {
+    activeFlush = runFlush().finally(() => {
+      activeFlush = null;
+    });
+  }
+  return activeFlush;
+}
+
+/**
+ * Performs a flush of the outbox. See flushOutbox.
+ *
+ * @returns {Promise<number>} The number of records still waiting to be sent.
+ */
+async function runFlush() {
+  const records = await withOutboxLock(readOutbox);
+  const now = Date.now();
+  // Records that were sent, or that the backend will never accept
+  const doneKeys = new Set();
+  const updated = {};
+
+  for (const record of records) {
+    if (record.nextAttemptAt > now) continue;
+    try {
+      await sendRecord(record);
+      doneKeys.add(record.idempotencyKey);
+    } catch (error) {
+      console.error(`Error sending tracking ${record.idempotencyKey}:`, error);
+      if (!isRetryable(error)) {
+        console.error("Dropping tracking the backend rejected:", record.visit);
+        doneKeys.add(record.idempotencyKey);
+        continue;
+      }
+      const attempts = record.attempts + 1;
+      updated[record.idempotencyKey] = {
+        attempts,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+      };
+      // Network failure: the remaining records would fail the same way
+      if (error instanceof NetworkError) break;
+    }
+  }
+
+  // Reread the outbox to keep the visits queued during the flush
+  const remaining = await withOutboxLock(async () => {
+    const current = (await readOutbox())
+      .filter((record) => !doneKeys.has(record.idempotencyKey))
+      .map((record) => ({ ...record, ...updated[record.idempotencyKey] }));
+    await writeOutbox(current);
+    return current;
+  });
+
+  scheduleRetry(remaining);
+  return remaining.length;
+}
+
+/**
+ * Schedules the next flush for when the earliest pending record is due.
+ *
+ * @param {Array} records - The records left in the outbox.
+ */
+function scheduleRetry(records) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  const due = records.map((record) => record.nextAttemptAt);
+  if (due.length === 0) return;
+
+  const delay = Math.max(Math.min(...due) - Date.now(), 0);
+  retryTimer = setTimeout(() => {
+    flushOutbox().catch((error) => console.error("Outbox sync error:", error));
+  }, delay);
+}
+
+/**
+ * Starts syncing the outbox in the background: immediately, whenever connectivity
+ * returns, and whenever the app comes back to the foreground. When connectivity
+ * returns, records waiting on backoff are retried straight away.
+ *
+ * @returns {Function} A function that stops the background sync.
+ */
+export function startOutboxSync() {
+  const sync = () =>
+    flushOutbox().catch((error) => console.error("Outbox sync error:", error));
+
+  /**
+   * Makes every pending record due now, then flushes.
+   */
+  const retryNow = async () => {
+    await withOutboxLock(async () => {
+      const records = await readOutbox();
+      await writeOutbox(
+        records.map((record) => ({ ...record, nextAttemptAt: 0 }))
+      );
+    });
+    await sync();
+  };
+
+  let wasConnected = true;
+  const unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+    const isConnected =
+      state.isConnected && state.isInternetReachable !== false;
+    if (isConnected && !wasConnected) {
+      retryNow().catch((error) => console.error("Outbox sync error:", error));
+    }
+    wasConnected = isConnected;
+  });
+
+  const appStateSubscription = AppState.addEventListener("change", (state) => {
+    if (state === "active") sync();
+  });
+
+  sync();
+
+  return () => {
+    unsubscribeNetInfo();
+    appStateSubscription.remove();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  };
+}
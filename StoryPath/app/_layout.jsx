@@ -1,11 +1,39 @@
 // app/_layout.jsx
 
-import React, { createContext, useState } from "react";
-import { StyleSheet, View, Text, Image } from "react-native";
+import React, { createContext, useState, useEffect } from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  Image,
+  TouchableOpacity,
+} from "react-native";
 import { DrawerContentScrollView, DrawerItem } from "@react-navigation/drawer";
 import { Drawer } from "expo-router/drawer";
 import { Ionicons } from "@expo/vector-icons";
 import { router, usePathname } from "expo-router";
+import * as SplashScreen from "expo-splash-screen";
+import * as Notifications from "expo-notifications";
+import { startOutboxSync } from "../api/outbox";
+// Defines the background geofencing task, which must exist as soon as the app loads
+import "../utils/geofencing";
+import { getNotificationRoute } from "../utils/notifications";
+import {
+  setParticipantUsername,
+  getConfigRole,
+  subscribeApiConfig,
+  ROLE_PARTICIPANT,
+  ROLE_CREATOR,
+} from "../api/config";
+import {
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  setActiveProfile,
+} from "../utils/profileStorage";
+
+// Keep the splash screen visible until the saved profiles have loaded
+SplashScreen.preventAutoHideAsync();
 
 export const UserProfileContext = createContext();
 
@@ -14,18 +42,133 @@ export const UserProfileContext = createContext();
  *
  * This component serves as the main layout for the application, wrapping all screens with a
  * Drawer navigator. It also provides a shared context for user profile information, including
- * the username and avatar URI, allowing child components to access and update these values.
+ * the username and avatar URI of the active profile, allowing child components to access and
+ * update these values. Several profiles can be kept on one device and switched between.
+ * The context also holds the role granted by the API configuration; creators get the Authoring screens.
+ * Profiles are persisted on the device and loaded before the drawer renders.
+ * It also starts the background sync of queued tracking records, and opens the matching
+ * project or location content when the user taps a notification.
  *
  * @returns {JSX.Element} The rendered Layout component with Drawer navigation and UserProfileContext.
  */
 export default function Layout() {
-  // State to store username and avatar URI
-  const [username, setUsername] = useState("");
-  const [avatarUri, setAvatarUri] = useState(null);
+  // State to store the saved profiles and which one is active
+  const [profiles, setProfiles] = useState([]);
+  const [activeProfileId, setActiveProfileId] = useState(null);
+  const [profileLoaded, setProfileLoaded] = useState(false);
+
+  // Role granted by the JWT in the API configuration
+  const [role, setRole] = useState(ROLE_PARTICIPANT);
+
+  // Username and avatar URI of the active profile
+  const activeProfile = profiles.find((p) => p.id === activeProfileId);
+  const username = activeProfile?.username ?? "";
+  const avatarUri = activeProfile?.avatarUri ?? null;
+
+  // Load the saved profiles on launch
+  useEffect(() => {
+    loadProfiles()
+      .then((saved) => {
+        setProfiles(saved.profiles);
+        setActiveProfileId(saved.activeProfileId);
+      })
+      .catch((error) => console.error("Error loading profiles:", error))
+      .finally(() => {
+        setProfileLoaded(true);
+        SplashScreen.hideAsync();
+      });
+  }, []);
+
+  // Follow the role granted by the API configuration, which changes when Settings are saved
+  useEffect(() => {
+    const refreshRole = () =>
+      getConfigRole()
+        .then(setRole)
+        .catch((error) => console.error("Error reading role:", error));
+    refreshRole();
+    return subscribeApiConfig(refreshRole);
+  }, []);
+
+  // Use the active profile's username as the participant identity for API requests
+  useEffect(() => {
+    setParticipantUsername(username);
+  }, [username]);
+
+  /**
+   * Saves a profile on the device and updates the shared context.
+   * A profile without an ID is created and becomes the active profile.
+   *
+   * @param {object} profile - The profile to save.
+   * @param {string} [profile.id] - The ID of an existing profile to update.
+   * @param {string} profile.username - The participant's username.
+   * @param {string} profile.avatarUri - URI of the selected avatar image.
+   * @returns {Promise<object>} The saved profile, with the avatar's app storage URI.
+   */
+  const updateProfile = async (profile) => {
+    const saved = await saveProfile(profile);
+    setProfiles((current) =>
+      current.some((p) => p.id === saved.id)
+        ? current.map((p) => (p.id === saved.id ? saved : p))
+        : [...current, saved]
+    );
+    if (!profile.id) setActiveProfileId(saved.id);
+    return saved;
+  };
+
+  /**
+   * Removes the active profile and its progress from the device.
+   * Another saved profile becomes active if there is one.
+   *
+   * @returns {Promise<void>}
+   */
+  const resetProfile = async () => {
+    if (!activeProfileId) return;
+    const remaining = await deleteProfile(activeProfileId);
+    setProfiles(remaining.profiles);
+    setActiveProfileId(remaining.activeProfileId);
+  };
+
+  /**
+   * Makes another saved profile the active one.
+   *
+   * @param {string} id - The ID of the profile to switch to.
+   * @returns {Promise<void>}
+   */
+  const switchProfile = async (id) => {
+    await setActiveProfile(id);
+    setActiveProfileId(id);
+  };
+
+  // Sync queued tracking records in the background while the app is running
+  useEffect(() => startOutboxSync(), []);
+
+  // Open the screen of the last tapped notification, including one that launched the app
+  const notificationResponse = Notifications.useLastNotificationResponse();
+  useEffect(() => {
+    if (!profileLoaded || !notificationResponse) return;
+    const route = getNotificationRoute(
+      notificationResponse.notification.request.content.data
+    );
+    if (route) router.push(route);
+  }, [profileLoaded, notificationResponse]);
+
+  // Render nothing behind the splash screen until the profile has loaded
+  if (!profileLoaded) {
+    return null;
+  }
 
   return (
     <UserProfileContext.Provider
-      value={{ username, setUsername, avatarUri, setAvatarUri }}
+      value={{
+        username,
+        avatarUri,
+        role,
+        profiles,
+        activeProfileId,
+        updateProfile,
+        resetProfile,
+        switchProfile,
+      }}
     >
       <Drawer
         screenOptions={{ headerShown: false }}
@@ -59,6 +202,44 @@ export default function Layout() {
         name="qrScanner"
         options={{ headerShown: true, headerTitle: "QR Code Scanner" }}
       />
+      <Drawer.Screen
+        name="settings"
+        options={{ headerShown: true, headerTitle: "Settings" }}
+      />
+      <Drawer.Screen
+        name="completion"
+        options={{ headerShown: true, headerTitle: "Project Complete" }}
+      />
+      <Drawer.Screen
+        name="leaderboard"
+        options={{ headerShown: true, headerTitle: "Leaderboard" }}
+      />
+      {/* Authoring screens for creators */}
+      <Drawer.Screen
+        name="authoring"
+        options={{ headerShown: true, headerTitle: "Authoring" }}
+      />
+      <Drawer.Screen
+        name="projectEditor"
+        options={{ headerShown: true, headerTitle: "Edit Project" }}
+      />
+      <Drawer.Screen
+        name="locationEditor"
+        options={{ headerShown: true, headerTitle: "Edit Location" }}
+      />
+      {/* Screens opened by StoryPath links */}
+      <Drawer.Screen
+        name="project/[projectId]/index"
+        options={{ headerShown: true, headerTitle: "Opening Link" }}
+      />
+      <Drawer.Screen
+        name="project/[projectId]/location/[locationId]"
+        options={{ headerShown: true, headerTitle: "Opening Link" }}
+      />
+      <Drawer.Screen
+        name="unlock"
+        options={{ headerShown: true, headerTitle: "Opening Link" }}
+      />
       </Drawer>
     </UserProfileContext.Provider>
   );
@@ -68,8 +249,8 @@ export default function Layout() {
  * CustomDrawerContent Component
  *
  * This component defines the custom content for the Drawer navigator. It displays user
- * information such as the avatar and username, and provides navigation items to different
- * screens within the application. The active route is highlighted for better user experience.
+ * information such as the avatar and username, lets the user switch to another saved profile
+ * or add one, shows the Authoring item to creators, and provides navigation items to different screens within the application. The active route is highlighted for better user experience.
  *
  * @param {object} props - Props passed down from the Drawer navigator.
  * @returns {JSX.Element} The rendered custom drawer content.
@@ -78,7 +259,14 @@ function CustomDrawerContent(props) {
   // Get the current pathname using the usePathname hook
   const pathname = usePathname();
   // Get the user profile information from the context
-  const { username, avatarUri } = React.useContext(UserProfileContext);
+  const {
+    username,
+    avatarUri,
+    role,
+    profiles,
+    activeProfileId,
+    switchProfile,
+  } = React.useContext(UserProfileContext);
 
   return (
     <DrawerContentScrollView {...props}>
@@ -105,6 +293,42 @@ function CustomDrawerContent(props) {
         </Text>
       </View>
 
+      {/* Profile Switcher */}
+      <View style={styles.profileSwitcher}>
+        {profiles
+          .filter((profile) => profile.id !== activeProfileId)
+          .map((profile) => (
+            <TouchableOpacity
+              key={profile.id}
+              style={styles.profileRow}
+              onPress={() => {
+                switchProfile(profile.id).catch((error) =>
+                  console.error("Error switching profile:", error)
+                );
+              }}
+            >
+              {profile.avatarUri ? (
+                <Image
+                  source={{ uri: profile.avatarUri }}
+                  style={styles.profileRowAvatar}
+                />
+              ) : (
+                <Ionicons name="person-circle-outline" size={28} color="#555" />
+              )}
+              <Text style={styles.profileRowText}>{profile.username}</Text>
+            </TouchableOpacity>
+          ))}
+        <TouchableOpacity
+          style={styles.profileRow}
+          onPress={() => {
+            router.push("/profile?mode=new");
+          }}
+        >
+          <Ionicons name="person-add-outline" size={24} color="#ff6f61" />
+          <Text style={styles.profileRowText}>Add profile</Text>
+        </TouchableOpacity>
+      </View>
+
       {/* Navigation Items */}
       {/* Home page */}
       <DrawerItem
@@ -172,6 +396,30 @@ function CustomDrawerContent(props) {
         }}
       />
 
+      {/* Authoring page, for creators only */}
+      {role === ROLE_CREATOR && (
+        <DrawerItem
+          icon={({ color, size }) => (
+            <Ionicons
+              name="create-outline"
+              size={size}
+              color={pathname === "/authoring" ? "#fff" : "#ff6f61"}
+            />
+          )}
+          label={"Authoring"}
+          labelStyle={[
+            styles.navItemLabel,
+            { color: pathname === "/authoring" ? "#fff" : "#ff6f61" },
+          ]}
+          style={{
+            backgroundColor: pathname === "/authoring" ? "#ff6f61" : "#fff",
+          }}
+          onPress={() => {
+            router.push("/authoring");
+          }}
+        />
+      )}
+
       {/* About page */}
       <DrawerItem
         icon={({ color, size }) => (
@@ -193,6 +441,28 @@ function CustomDrawerContent(props) {
           router.push("/about");
         }}
       />
+
+      {/* Settings page */}
+      <DrawerItem
+        icon={({ color, size }) => (
+          <Ionicons
+            name="settings-outline"
+            size={size}
+            color={pathname === "/settings" ? "#fff" : "#ff6f61"}
+          />
+        )}
+        label={"Settings"}
+        labelStyle={[
+          styles.navItemLabel,
+          { color: pathname === "/settings" ? "#fff" : "#ff6f61" },
+        ]}
+        style={{
+          backgroundColor: pathname === "/settings" ? "#ff6f61" : "#fff",
+        }}
+        onPress={() => {
+          router.push("/settings");
+        }}
+      />
     </DrawerContentScrollView>
   );
 }
@@ -263,6 +533,48 @@ const styles = StyleSheet.create({
     borderRadius: 20,
   },
 
+  /**
+   * Profile switcher container style.
+   * Lists the other saved profiles below the active user, with a bottom border.
+   */
+  profileSwitcher: {
+    paddingVertical: 4,
+    paddingHorizontal: 16,
+    backgroundColor: "#f5f5f5",
+    borderBottomColor: "#ff6f61",
+    borderBottomWidth: 1,
+  },
+
+  /**
+   * Style for each row in the profile switcher.
+   * Arranges the avatar and name horizontally.
+   */
+  profileRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+
+  /**
+   * Style for the avatar image in a profile switcher row.
+   * Sets dimensions and makes the image circular.
+   */
+  profileRowAvatar: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+  },
+
+  /**
+   * Style for the name in a profile switcher row.
+   * Sets font size, color, and left margin.
+   */
+  profileRowText: {
+    fontSize: 14,
+    color: "#555",
+    marginLeft: 10,
+  },
+
   /**
    * Style for navigation item labels.
    * Adjusts left margin and sets font size.
@@ -0,0 +1,5 @@
+// app/authoring.jsx
+
+import Authoring from "../components/Authoring";
+
+export default Authoring;
@@ -0,0 +1,5 @@
+// app/completion.jsx
+
+import ProjectCompletion from "../components/ProjectCompletion";
+
+export default ProjectCompletion;
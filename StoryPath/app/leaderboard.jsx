@@ -0,0 +1,5 @@
+// app/leaderboard.jsx
+
+import Leaderboard from "../components/Leaderboard";
+
+export default Leaderboard;
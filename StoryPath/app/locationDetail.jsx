@@ -3,6 +3,7 @@ import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, ActivityIndicator, Alert } from 'react-native';
 import { getLocation } from '../api/api';
 import { useLocalSearchParams } from 'expo-router';
+import { getErrorMessage } from '../utils/errorMessages';
 
 export default function LocationDetail() {
   const [location, setLocation] = useState(null);
@@ -19,7 +20,10 @@ export default function LocationDetail() {
         setLocation(locationData[0]);
       } catch (error) {
         console.error("Error fetching location:", error);
-        Alert.alert("Error", "Unable to load location data.");
+        Alert.alert("Error", getErrorMessage(error, {
+          notFound: "Location not found.",
+          default: "Unable to load location data.",
+        }));
       }
     };
 
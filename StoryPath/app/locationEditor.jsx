@@ -0,0 +1,5 @@
+// app/locationEditor.jsx
+
+import LocationEditor from "../components/LocationEditor";
+
+export default LocationEditor;
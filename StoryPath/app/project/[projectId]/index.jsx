@@ -0,0 +1,5 @@
+// app/project/[projectId]/index.jsx
+
+import DeepLink from "../../../components/DeepLink";
+
+export default DeepLink;
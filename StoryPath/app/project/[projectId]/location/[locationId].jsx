@@ -0,0 +1,5 @@
+// app/project/[projectId]/location/[locationId].jsx
+
+import DeepLink from "../../../../components/DeepLink";
+
+export default DeepLink;
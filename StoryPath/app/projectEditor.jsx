@@ -0,0 +1,5 @@
+// app/projectEditor.jsx
+
+import ProjectEditor from "../components/ProjectEditor";
+
+export default ProjectEditor;
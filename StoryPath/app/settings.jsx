@@ -0,0 +1,5 @@
+// app/settings.jsx
+
+import Settings from "../components/Settings";
+
+export default Settings;
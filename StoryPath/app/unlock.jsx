@@ -0,0 +1,5 @@
+// app/unlock.jsx
+
+import DeepLink from "../components/DeepLink";
+
+export default DeepLink;
@@ -0,0 +1,260 @@
+// components/Authoring.jsx
+
+import React, { useState, useCallback, useContext } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import { getOwnProjects } from "../api/api.js";
+import { UserProfileContext } from "../app/_layout";
+import { ROLE_CREATOR } from "../api/config";
+import CreatorRequired from "./CreatorRequired";
+import { getErrorMessage } from "../utils/errorMessages";
+
+/**
+ * Authoring Component
+ *
+ * Lists the projects owned by the username configured in Settings, published or not,
+ * for creators. Tapping a project opens it in the project editor, and the New Project
+ * button opens an empty editor. Without the creator role, the user is sent to Settings
+ * to enter a creator's JWT token.
+ *
+ * @returns {JSX.Element} The rendered Authoring component.
+ */
+export default function Authoring() {
+  // State to hold the creator's projects
+  const [projects, setProjects] = useState([]);
+  // State to manage loading status during data fetching
+  const [loading, setLoading] = useState(true);
+
+  const { role } = useContext(UserProfileContext);
+  const router = useRouter();
+  const isCreator = role === ROLE_CREATOR;
+
+  /**
+   * useFocusEffect hook to fetch the creator's projects whenever the screen comes into focus,
+   * so projects saved or deleted in the editor are shown.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      if (!isCreator) return;
+      let isActive = true;
+
+      getOwnProjects()
+        .then((data) => {
+          if (isActive) setProjects(data);
+        })
+        .catch((error) => {
+          console.error("Error fetching own projects:", error);
+          Alert.alert(
+            "Error",
+            getErrorMessage(error, {
+              default: "Unable to load your projects. Please try again later.",
+            })
+          );
+        })
+        .finally(() => {
+          if (isActive) setLoading(false);
+        });
+
+      return () => {
+        isActive = false;
+      };
+    }, [isCreator])
+  );
+
+  // Authoring is only available to creators
+  if (!isCreator) {
+    return <CreatorRequired />;
+  }
+
+  // Display loading indicator while projects are being fetched
+  if (loading) {
+    return (
+      <View style={styles.messageContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  /**
+   * Renders each project in the list.
+   *
+   * @param {Object} param0 - Contains data of the individual project item.
+   * @returns {JSX.Element} The rendered project row with its title and published status.
+   */
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.projectCard}
+      onPress={() => router.push(`/projectEditor?projectId=${item.id}`)}
+    >
+      <View style={styles.projectInfo}>
+        <Text style={styles.projectTitle}>{item.title}</Text>
+        <Text style={styles.projectStatus}>
+          {item.is_published ? "Published" : "Draft"} · {item.participant_scoring}
+        </Text>
+      </View>
+      <Ionicons name="create-outline" size={24} color="#555" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.header}>Your Projects</Text>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => router.push("/projectEditor?projectId=new")}
+      >
+        <Text style={styles.buttonText}>New Project</Text>
+      </TouchableOpacity>
+      {projects.length > 0 ? (
+        <FlatList
+          data={projects}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={renderItem}
+          contentContainerStyle={styles.listContainer}
+        />
+      ) : (
+        <Text style={styles.noProjectsText}>
+          You have not created any projects yet.
+        </Text>
+      )}
+    </View>
+  );
+}
+
+// Styles for the Authoring component
+const styles = StyleSheet.create({
+  /**
+   * Main container style.
+   * Sets padding and background color to align with app theme.
+   */
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Container for the loading indicator.
+   * Centers content vertically and horizontally on the screen.
+   */
+  messageContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+
+  /**
+   * Header text style.
+   * Configures font size, weight, color, margin, and alignment.
+   */
+  header: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 16,
+    textAlign: "center",
+  },
+
+  /**
+   * Button style for creating a project.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    marginBottom: 16,
+    alignItems: "center",
+  },
+
+  /**
+   * Text style for button labels.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  /**
+   * List container style for FlatList.
+   * Adds padding to the bottom to prevent content cutoff.
+   */
+  listContainer: {
+    paddingBottom: 16,
+  },
+
+  /**
+   * Style for each project row.
+   * Card layout matching the project list.
+   */
+  projectCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+
+  /**
+   * Container for the project title and status, taking the remaining space.
+   */
+  projectInfo: {
+    flex: 1,
+  },
+
+  /**
+   * Style for the project title text.
+   */
+  projectTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#333",
+  },
+
+  /**
+   * Style for the published status and scoring type below the title.
+   */
+  projectStatus: {
+    fontSize: 12,
+    color: "#777",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for text displayed when the creator has no projects.
+   */
+  noProjectsText: {
+    fontSize: 16,
+    color: "#777",
+    textAlign: "center",
+    marginTop: 20,
+  },
+});
@@ -0,0 +1,77 @@
+// components/CreatorRequired.jsx
+
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { useRouter } from "expo-router";
+
+/**
+ * CreatorRequired Component
+ *
+ * Shown instead of the authoring screens when the API configuration does not grant the
+ * creator role, with a button to the Settings screen where the creator's JWT is entered.
+ *
+ * @returns {JSX.Element} The rendered CreatorRequired component.
+ */
+export default function CreatorRequired() {
+  const router = useRouter();
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.messageText}>
+        Creating and editing projects needs a JWT token in Settings that was issued to the
+        configured username.
+      </Text>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={() => router.push("/settings")}
+      >
+        <Text style={styles.buttonText}>Go to Settings</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+// Styles for the CreatorRequired component
+const styles = StyleSheet.create({
+  /**
+   * Main container style.
+   * Centers the message vertically and horizontally on the screen.
+   */
+  container: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Style for the creator role message.
+   */
+  messageText: {
+    fontSize: 16,
+    color: "#555",
+    textAlign: "center",
+    marginBottom: 20,
+  },
+
+  /**
+   * Button style for going to the settings.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+
+  /**
+   * Text style for the button label.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
@@ -0,0 +1,169 @@
+// components/DeepLink.jsx
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { getProject, getLocations } from "../api/api.js";
+import { parseScanPayload } from "../utils/scanPayload";
+import { LINK_SCHEME } from "../utils/deepLink";
+import { getErrorMessage } from "../utils/errorMessages";
+
+/**
+ * DeepLink Component
+ *
+ * Opens a StoryPath link, such as storypath://project/3 or storypath://project/3/location/12,
+ * or an encoded storypath://unlock?code=... link. The project must exist and be published,
+ * and a linked location must belong to it; the project home screen then replaces this screen,
+ * showing the location's content if it has been unlocked. Links to unpublished projects or
+ * unknown IDs show a message instead.
+ *
+ * @returns {JSX.Element} The rendered DeepLink component.
+ */
+export default function DeepLink() {
+  // Message shown when the link cannot be opened
+  const [error, setError] = useState(null);
+
+  const { projectId, locationId, code } = useLocalSearchParams();
+  const router = useRouter();
+
+  useEffect(() => {
+    /**
+     * Checks the linked project and location against the backend and opens them.
+     *
+     * @returns {Promise<void>}
+     */
+    const openLink = async () => {
+      setError(null);
+
+      // Encoded links carry both IDs in their code
+      const link = code
+        ? parseScanPayload(`${LINK_SCHEME}://unlock?code=${code}`)
+        : {
+            projectId: Number(projectId),
+            locationId: locationId === undefined ? null : Number(locationId),
+          };
+      const isId = (id) => Number.isInteger(id) && id > 0;
+      if (
+        !link ||
+        !isId(link.projectId) ||
+        (link.locationId !== null && !isId(link.locationId))
+      ) {
+        setError("This link is not a valid StoryPath link.");
+        return;
+      }
+
+      try {
+        const projectData = await getProject(link.projectId);
+        const project = projectData?.[0];
+        if (!project || !project.is_published) {
+          setError("This project does not exist or is not available yet.");
+          return;
+        }
+
+        let route = `/projectHomeScreen?projectId=${project.id}`;
+        if (link.locationId) {
+          const locations = await getLocations(project.id);
+          if (!locations.some((loc) => loc.id === link.locationId)) {
+            setError("This location does not exist in the project.");
+            return;
+          }
+          route += `&locationId=${link.locationId}`;
+        }
+        router.replace(route);
+      } catch (err) {
+        console.error("Open Link Error:", err);
+        setError(
+          getErrorMessage(err, {
+            network: "Unable to open this link while offline. Please try again once connected.",
+            notFound: "This project does not exist or is not available yet.",
+            default: "Unable to open this link. Please try again later.",
+          })
+        );
+      }
+    };
+
+    openLink();
+  }, [projectId, locationId, code]);
+
+  // Show the reason the link could not be opened
+  if (error) {
+    return (
+      <View style={styles.container}>
+        <Text style={styles.errorText}>{error}</Text>
+        <TouchableOpacity
+          style={styles.button}
+          onPress={() => router.replace("/project")}
+        >
+          <Text style={styles.buttonText}>Browse Projects</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <ActivityIndicator size="large" color="#ff6f61" />
+      <Text style={styles.loadingText}>Opening link...</Text>
+    </View>
+  );
+}
+
+// Styles for the DeepLink component
+const styles = StyleSheet.create({
+  /**
+   * Main container.
+   * Centers the loading indicator or error message on the screen.
+   */
+  container: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+
+  /**
+   * Error message style.
+   * Highlights the message in the app's accent color.
+   */
+  errorText: {
+    fontSize: 16,
+    color: "#ff6f61",
+    textAlign: "center",
+    marginBottom: 20,
+  },
+
+  /**
+   * Button style for returning to the project list.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+  },
+
+  /**
+   * Text style for the button label.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
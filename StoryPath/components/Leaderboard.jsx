@@ -0,0 +1,342 @@
+// components/Leaderboard.jsx
+
+import React, { useState, useCallback, useContext } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from "react-native";
+import { useFocusEffect, useLocalSearchParams } from "expo-router";
+import { getProject, getLocations, getProjectTracking } from "../api/api.js";
+import { UserProfileContext } from "../app/_layout";
+import {
+  buildLeaderboard,
+  formatDuration,
+  loadLeaderboardAnonymous,
+  saveLeaderboardAnonymous,
+} from "../utils/leaderboard";
+import { getScoringMode, SCORING_NOT_SCORED } from "../utils/scoring";
+import { getErrorMessage } from "../utils/errorMessages";
+
+/**
+ * Leaderboard Component
+ *
+ * Ranks the participants of the project given by the `projectId` param, from the tracking
+ * records on the backend. Each row shows the participant's rank, name, locations found,
+ * points and completion time; the active profile's row is highlighted. A switch lets the
+ * active profile appear anonymously on every leaderboard.
+ *
+ * @returns {JSX.Element} The rendered Leaderboard component.
+ */
+export default function Leaderboard() {
+  // The project, its number of locations and its ranked participants
+  const [project, setProject] = useState(null);
+  const [locationCount, setLocationCount] = useState(0);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  // Whether the active profile appears anonymously
+  const [anonymous, setAnonymous] = useState(false);
+
+  const { projectId } = useLocalSearchParams();
+  const { username, activeProfileId } = useContext(UserProfileContext);
+
+  /**
+   * Fetches the project, its locations and its tracking records, and ranks the participants.
+   *
+   * @returns {Promise<void>}
+   */
+  const fetchLeaderboard = useCallback(async () => {
+    try {
+      const projectData = await getProject(projectId);
+      if (!projectData || projectData.length === 0) {
+        Alert.alert("Error", "Project not found.");
+        return;
+      }
+      const locations = await getLocations(projectId);
+      const tracking = await getProjectTracking(projectId);
+
+      setProject(projectData[0]);
+      setLocationCount(locations.length);
+      setRows(buildLeaderboard(projectData[0], locations, tracking, username));
+      setAnonymous(await loadLeaderboardAnonymous(activeProfileId));
+    } catch (error) {
+      console.error("Error fetching leaderboard:", error);
+      Alert.alert(
+        "Error",
+        getErrorMessage(error, {
+          network: "The leaderboard is not available offline.",
+          default: "Unable to load the leaderboard. Please try again later.",
+        })
+      );
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [projectId, activeProfileId, username]);
+
+  /**
+   * useFocusEffect hook to fetch the leaderboard whenever the screen comes into focus.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      setLoading(true);
+      fetchLeaderboard();
+    }, [fetchLeaderboard])
+  );
+
+  /**
+   * Switches whether the active profile appears anonymously, then reloads the leaderboard.
+   *
+   * @param {boolean} value - True to hide the profile's username.
+   */
+  const toggleAnonymous = async (value) => {
+    if (!username) {
+      Alert.alert(
+        "Profile Required",
+        "Please create a profile before changing how you appear on leaderboards."
+      );
+      return;
+    }
+    setAnonymous(value);
+    try {
+      await saveLeaderboardAnonymous(username, value);
+      fetchLeaderboard();
+    } catch (error) {
+      console.error("Error saving leaderboard anonymity:", error);
+      setAnonymous(!value);
+      Alert.alert(
+        "Error",
+        getErrorMessage(error, {
+          network: "Connect to the internet to change how you appear on leaderboards.",
+          default: "Unable to change how you appear on leaderboards.",
+        })
+      );
+    }
+  };
+
+  // Display loading indicator while the leaderboard is being fetched
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  const isScored = project && getScoringMode(project) !== SCORING_NOT_SCORED;
+
+  /**
+   * Renders a participant's row.
+   *
+   * @param {Object} param0 - Contains the leaderboard row.
+   * @returns {JSX.Element} The rendered row, highlighted for the active profile.
+   */
+  const renderItem = ({ item }) => {
+    const name = item.isCurrentUser ? `${item.name} (you)` : item.name;
+
+    return (
+      <View style={[styles.row, item.isCurrentUser && styles.currentUserRow]}>
+        <Text style={styles.rank}>{item.rank}</Text>
+        <View style={styles.rowInfo}>
+          <Text style={styles.name}>{name}</Text>
+          <Text style={styles.details}>
+            {item.found}/{locationCount} locations
+            {item.completionTime !== null
+              ? ` · completed in ${formatDuration(item.completionTime)}`
+              : ""}
+          </Text>
+        </View>
+        {isScored && <Text style={styles.points}>{item.points} pts</Text>}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.header}>{project?.title}</Text>
+
+      {/* Leaderboard opt-out */}
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>Appear anonymously</Text>
+        <Switch
+          value={anonymous}
+          onValueChange={toggleAnonymous}
+          trackColor={{ true: "#ff6f61" }}
+        />
+      </View>
+
+      {rows.length > 0 ? (
+        <FlatList
+          data={rows}
+          keyExtractor={(item) => item.key}
+          renderItem={renderItem}
+          contentContainerStyle={styles.listContainer}
+          refreshing={refreshing}
+          onRefresh={() => {
+            setRefreshing(true);
+            fetchLeaderboard();
+          }}
+        />
+      ) : (
+        <Text style={styles.emptyText}>
+          Nobody has found a location yet. Be the first!
+        </Text>
+      )}
+    </View>
+  );
+}
+
+// Styles for the Leaderboard component
+const styles = StyleSheet.create({
+  /**
+   * Main container style.
+   * Sets padding and background color to align with app theme.
+   */
+  container: {
+    flex: 1,
+    padding: 16,
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Header text style for the project title.
+   */
+  header: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 16,
+    textAlign: "center",
+  },
+
+  /**
+   * Row holding the anonymity label and switch.
+   */
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+
+  /**
+   * Label style for the anonymity switch.
+   */
+  switchLabel: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#555",
+  },
+
+  /**
+   * List container style for FlatList.
+   * Adds padding to the bottom to prevent content cutoff.
+   */
+  listContainer: {
+    paddingBottom: 16,
+  },
+
+  /**
+   * Style for each participant row.
+   * Card layout with the rank, name and score in a line.
+   */
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+    elevation: 2,
+  },
+
+  /**
+   * Extra style highlighting the active profile's row.
+   */
+  currentUserRow: {
+    backgroundColor: "#ffe3e0",
+    borderColor: "#ff6f61",
+    borderWidth: 1,
+  },
+
+  /**
+   * Style for the rank number.
+   * Fixed width so names line up.
+   */
+  rank: {
+    width: 32,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#ff6f61",
+  },
+
+  /**
+   * Container for the name and details, taking the remaining space.
+   */
+  rowInfo: {
+    flex: 1,
+  },
+
+  /**
+   * Style for the participant's name.
+   */
+  name: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#333",
+  },
+
+  /**
+   * Style for the locations found and completion time.
+   */
+  details: {
+    fontSize: 12,
+    color: "#777",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for the points.
+   */
+  points: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#333",
+  },
+
+  /**
+   * Style for the text shown when nobody has found a location.
+   */
+  emptyText: {
+    fontSize: 16,
+    color: "#777",
+    textAlign: "center",
+    marginTop: 20,
+  },
+
+  /**
+   * Container style for loading indicator.
+   * Centers content vertically and horizontally on the screen.
+   */
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+});
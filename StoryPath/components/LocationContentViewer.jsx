@@ -0,0 +1,142 @@
+// components/LocationContentViewer.jsx
+
+import React from "react";
+import {
+  Modal,
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Linking,
+} from "react-native";
+import { WebView } from "react-native-webview";
+import * as FileSystem from "expo-file-system";
+import {
+  ORIGIN_WHITELIST,
+  buildContentDocument,
+  isContentRequestAllowed,
+} from "../utils/locationContent";
+
+/**
+ * LocationContentViewer Component
+ *
+ * Shows the unlocked content of a location in a full-screen overlay. The HTML content is
+ * rendered in a sandboxed WebView: scripts in the content are blocked while embedded https
+ * players run in their frames, and links leave the viewer by opening in the system browser
+ * instead of navigating inside the app.
+ * Content from an offline pack may read its downloaded media from app storage.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object|null} props.location - The location whose content to show, or null to hide the viewer.
+ * @param {Function} props.onClose - Called when the user closes the viewer.
+ * @returns {JSX.Element} The rendered LocationContentViewer component.
+ */
+export default function LocationContentViewer({ location, onClose }) {
+  // Offline pack content points its media at files in app storage
+  const hasOfflineMedia = !!location?.location_content?.includes(
+    FileSystem.documentDirectory
+  );
+
+  /**
+   * Keeps the WebView on the injected document and opens any followed link externally.
+   *
+   * @param {Object} request - The navigation request from the WebView.
+   * @param {string} request.url - The URL being loaded.
+   * @param {boolean} [request.isTopFrame] - Whether the request is for the top frame.
+   * @returns {boolean} True to allow the load inside the WebView.
+   */
+  const handleNavigation = (request) => {
+    if (isContentRequestAllowed(request, FileSystem.documentDirectory)) return true;
+    // Frames cannot navigate anywhere but https; only top-frame links open externally
+    if (request.isTopFrame === false) return false;
+    Linking.openURL(request.url).catch((error) =>
+      console.error("Unable to open link:", error)
+    );
+    return false;
+  };
+
+  return (
+    <Modal
+      visible={!!location}
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <View style={styles.webViewContainer}>
+        {/* Location name */}
+        <Text style={styles.locationContentTitle}>
+          {location?.location_name}
+        </Text>
+        {/* Location content */}
+        {location && (
+          <WebView
+            style={styles.webView}
+            originWhitelist={ORIGIN_WHITELIST}
+            source={{
+              html: buildContentDocument(location.location_content),
+              baseUrl: hasOfflineMedia ? FileSystem.documentDirectory : undefined,
+            }}
+            onShouldStartLoadWithRequest={handleNavigation}
+            allowsInlineMediaPlayback={true}
+            mediaPlaybackRequiresUserAction={true}
+            allowFileAccess={hasOfflineMedia}
+            allowingReadAccessToURL={
+              hasOfflineMedia ? FileSystem.documentDirectory : undefined
+            }
+            javaScriptCanOpenWindowsAutomatically={false}
+            setSupportMultipleWindows={false}
+          />
+        )}
+        {/* Close button */}
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeContent}>Close</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  );
+}
+
+// style sheet for LocationContentViewer component
+const styles = StyleSheet.create({
+  /**
+   * WebView Container
+   * Full-screen container for the location content, with padding.
+   */
+  webViewContainer: {
+    flex: 1,
+    backgroundColor: "#fff",
+    padding: 20,
+    paddingTop: 50,
+  },
+
+  /**
+   * Location Content Title
+   * Styles the title text for location content displayed in the overlay.
+   */
+  locationContentTitle: {
+    fontSize: 22,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 10,
+    textAlign: "center",
+  },
+
+  /**
+   * WebView Component
+   * Lets the WebView fill the space between the title and close button.
+   */
+  webView: {
+    flex: 1,
+  },
+
+  /**
+   * Close Content Button
+   * Styling for the close button text in the location content overlay.
+   */
+  closeContent: {
+    color: "#ff6f61",
+    fontSize: 18,
+    marginTop: 10,
+    textAlign: "right",
+    fontWeight: "bold",
+  },
+});
@@ -0,0 +1,550 @@
+// components/LocationEditor.jsx
+
+import React, { useState, useContext, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+} from "react-native";
+import MapView, { Marker } from "react-native-maps";
+import * as Location from "expo-location";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import {
+  getLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+} from "../api/api.js";
+import OptionPicker from "./OptionPicker";
+import CreatorRequired from "./CreatorRequired";
+import {
+  LOCATION_TRIGGER_OPTIONS,
+  buildLocationRecord,
+} from "../utils/authoring";
+import { parsePositionString } from "../utils/proximity";
+import { getTriggerType } from "../utils/triggerType";
+import { getErrorMessage } from "../utils/errorMessages";
+import { ROLE_CREATOR } from "../api/config";
+import { UserProfileContext } from "../app/_layout";
+
+// Map region shown when neither the location, the project nor the device gives a position
+const DEFAULT_REGION = {
+  latitude: -27.4975,
+  longitude: 153.0137,
+  latitudeDelta: 0.01,
+  longitudeDelta: 0.01,
+};
+
+// Form values of a new location
+const EMPTY_LOCATION = {
+  location_name: "",
+  location_trigger_type: LOCATION_TRIGGER_OPTIONS[0],
+  position: null,
+  score_points: "0",
+  clue: "",
+  location_content: "",
+  location_order: "",
+};
+
+/**
+ * Returns the device's current position, if location permission is granted.
+ *
+ * @returns {Promise<{latitude: number, longitude: number}|null>} The position, or null.
+ */
+async function getCurrentPosition() {
+  const { status } = await Location.requestForegroundPermissionsAsync();
+  if (status !== "granted") return null;
+  const { coords } = await Location.getCurrentPositionAsync({});
+  return { latitude: coords.latitude, longitude: coords.longitude };
+}
+
+/**
+ * LocationEditor Component
+ *
+ * Form for adding a location to the project given by the `projectId` param, or editing the
+ * location given by `locationId` ("new" for a new location). The author drops the location's
+ * pin by tapping the map, drags it to adjust it, or places it at their current position.
+ * The form also sets the name, trigger, clue, HTML content, score points and order.
+ * Only creators can use the editor.
+ *
+ * @returns {JSX.Element} The rendered LocationEditor component.
+ */
+export default function LocationEditor() {
+  const { projectId, locationId } = useLocalSearchParams();
+  const { role } = useContext(UserProfileContext);
+
+  // The editor is only available to creators
+  if (role !== ROLE_CREATOR) {
+    return <CreatorRequired />;
+  }
+
+  // A fresh form for every location, so nothing is carried over from the one shown before
+  return (
+    <LocationEditorForm
+      key={`${projectId}/${locationId ?? "new"}`}
+      projectId={projectId}
+      locationId={locationId}
+    />
+  );
+}
+
+/**
+ * The location editor's form, for one location. See LocationEditor.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} props.projectId - ID of the project the location belongs to.
+ * @param {string} [props.locationId] - ID of the location to edit, or "new" for a new location.
+ * @returns {JSX.Element} The rendered form.
+ */
+function LocationEditorForm({ projectId, locationId }) {
+  // Form values
+  const [form, setForm] = useState(EMPTY_LOCATION);
+  // Region the map opens on
+  const [region, setRegion] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const router = useRouter();
+  const isNew = !locationId || locationId === "new";
+
+  /**
+   * Updates one form field.
+   *
+   * @param {string} field - The form field.
+   * @param {*} value - The new value.
+   */
+  const setField = (field, value) =>
+    setForm((current) => ({ ...current, [field]: value }));
+
+  // Show the location being edited, or an empty form placed after the project's other locations
+  useEffect(() => {
+    let isActive = true;
+
+    /**
+     * Loads the project's locations, fills the form and picks the map region: the location's
+     * pin, else the project's first location, else the device's position.
+     *
+     * @returns {Promise<void>}
+     */
+    const loadLocation = async () => {
+      let nextForm = EMPTY_LOCATION;
+      let center = null;
+      try {
+        const locations = await getLocations(projectId);
+        const location = locations.find((loc) => String(loc.id) === locationId);
+        if (!isNew && !location) {
+          Alert.alert("Error", "Location not found.");
+        }
+
+        if (location) {
+          const position = parsePositionString(location.location_position);
+          nextForm = {
+            location_name: location.location_name ?? "",
+            location_trigger_type: getTriggerType(location),
+            position: position.latitude !== null ? position : null,
+            score_points: String(location.score_points ?? 0),
+            clue: location.clue ?? "",
+            location_content: location.location_content ?? "",
+            location_order:
+              location.location_order != null
+                ? String(location.location_order)
+                : "",
+          };
+          center = nextForm.position;
+        } else {
+          const orders = locations
+            .map((loc) => Number(loc.location_order))
+            .filter(Number.isFinite);
+          nextForm = {
+            ...EMPTY_LOCATION,
+            location_order: String(
+              orders.length > 0 ? Math.max(...orders) + 1 : locations.length + 1
+            ),
+          };
+        }
+
+        center =
+          center ??
+          locations
+            .map((loc) => parsePositionString(loc.location_position))
+            .find((pos) => pos.latitude !== null);
+      } catch (error) {
+        console.error("Error fetching locations:", error);
+        Alert.alert(
+          "Error",
+          getErrorMessage(error, { default: "Unable to load this location." })
+        );
+      }
+
+      if (!center) {
+        center = await getCurrentPosition().catch(() => null);
+      }
+      if (!isActive) return;
+      setForm(nextForm);
+      setRegion(center ? { ...DEFAULT_REGION, ...center } : DEFAULT_REGION);
+    };
+
+    loadLocation();
+    return () => {
+      isActive = false;
+    };
+  }, [projectId, locationId, isNew]);
+
+  /**
+   * Drops the location's pin at the device's current position.
+   */
+  const dropPinAtCurrentPosition = async () => {
+    try {
+      const position = await getCurrentPosition();
+      if (!position) {
+        Alert.alert("Permission to access location was denied.");
+        return;
+      }
+      setField("position", position);
+    } catch (error) {
+      console.error("Error getting current position:", error);
+      Alert.alert("Error", "Unable to get your current position.");
+    }
+  };
+
+  /**
+   * Creates or updates the location, then returns to the project editor.
+   */
+  const saveLocation = async () => {
+    const { location, error } = buildLocationRecord(form, projectId);
+    if (error) {
+      Alert.alert(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (isNew) {
+        await createLocation(location);
+      } else {
+        await updateLocation(locationId, location);
+      }
+      router.replace(`/projectEditor?projectId=${projectId}`);
+    } catch (saveError) {
+      console.error("Error saving location:", saveError);
+      Alert.alert(
+        "Error",
+        getErrorMessage(saveError, {
+          validation: "The server did not accept this location. Please check its fields.",
+          default: "Unable to save this location. Please try again later.",
+        })
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Asks for confirmation, then deletes the location and returns to the project editor.
+   */
+  const confirmDelete = () => {
+    Alert.alert(
+      "Delete Location",
+      `Delete ${form.location_name || "this location"}? This cannot be undone.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await deleteLocation(locationId);
+              router.replace(`/projectEditor?projectId=${projectId}`);
+            } catch (error) {
+              console.error("Error deleting location:", error);
+              Alert.alert(
+                "Error",
+                getErrorMessage(error, {
+                  default: "Unable to delete this location. Please try again later.",
+                })
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Display loading indicator until the location and map region are ready
+  if (!region) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title}>{isNew ? "New Location" : "Edit Location"}</Text>
+
+      {/* Pin position */}
+      <Text style={styles.label}>Position (tap the map to drop the pin)</Text>
+      <MapView
+        key={`${projectId}_${locationId}`}
+        style={styles.map}
+        initialRegion={region}
+        showsUserLocation={true}
+        onPress={(event) => setField("position", event.nativeEvent.coordinate)}
+      >
+        {form.position && (
+          <Marker
+            coordinate={form.position}
+            draggable={true}
+            onDragEnd={(event) =>
+              setField("position", event.nativeEvent.coordinate)
+            }
+            pinColor="#ff6f61"
+          />
+        )}
+      </MapView>
+      <TouchableOpacity
+        style={styles.linkButton}
+        onPress={dropPinAtCurrentPosition}
+      >
+        <Text style={styles.linkButtonText}>Use my current position</Text>
+      </TouchableOpacity>
+
+      {/* Name */}
+      <Text style={styles.label}>Name</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Great Court"
+        value={form.location_name}
+        onChangeText={(value) => setField("location_name", value)}
+      />
+
+      {/* Trigger */}
+      <Text style={styles.label}>Unlocked by</Text>
+      <OptionPicker
+        options={LOCATION_TRIGGER_OPTIONS}
+        value={form.location_trigger_type}
+        onChange={(value) => setField("location_trigger_type", value)}
+      />
+
+      {/* Score points */}
+      <Text style={styles.label}>Score points</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="0"
+        value={form.score_points}
+        onChangeText={(value) => setField("score_points", value)}
+        keyboardType="number-pad"
+      />
+
+      {/* Order */}
+      <Text style={styles.label}>Order (for sequence projects)</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Leave empty for no order"
+        value={form.location_order}
+        onChangeText={(value) => setField("location_order", value)}
+        keyboardType="number-pad"
+      />
+
+      {/* Clue */}
+      <Text style={styles.label}>Clue to the next location</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        placeholder="Shown once this location is unlocked"
+        value={form.clue}
+        onChangeText={(value) => setField("clue", value)}
+        multiline={true}
+      />
+
+      {/* Content */}
+      <Text style={styles.label}>Content (HTML)</Text>
+      <TextInput
+        style={[styles.input, styles.contentInput]}
+        placeholder="<p>What participants see when they unlock this location</p>"
+        value={form.location_content}
+        onChangeText={(value) => setField("location_content", value)}
+        multiline={true}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={saveLocation}
+        disabled={saving}
+      >
+        {saving ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>Save Location</Text>
+        )}
+      </TouchableOpacity>
+      {!isNew && (
+        <TouchableOpacity
+          style={[styles.button, styles.deleteButton]}
+          onPress={confirmDelete}
+        >
+          <Text style={styles.buttonText}>Delete Location</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+// Styles for the LocationEditor component
+const styles = StyleSheet.create({
+  /**
+   * Main container for the editor.
+   * Centers the form with background color and padding.
+   */
+  container: {
+    flexGrow: 1,
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Title text style.
+   * Highlights title with a larger font size and bold weight.
+   */
+  title: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 20,
+    textAlign: "center",
+  },
+
+  /**
+   * Label style for each input field.
+   * Aligns with the input width.
+   */
+  label: {
+    width: "80%",
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#555",
+    marginBottom: 6,
+  },
+
+  /**
+   * Map style for dropping the location's pin.
+   */
+  map: {
+    width: "80%",
+    height: 240,
+    borderRadius: 8,
+    marginBottom: 6,
+  },
+
+  /**
+   * Text button style for placing the pin at the current position.
+   */
+  linkButton: {
+    width: "80%",
+    marginBottom: 20,
+  },
+
+  /**
+   * Text style for the current position button.
+   */
+  linkButtonText: {
+    fontSize: 14,
+    color: "#ff6f61",
+    fontWeight: "bold",
+  },
+
+  /**
+   * Input field style.
+   * Adds padding, border, and background color for user interaction.
+   */
+  input: {
+    width: "80%",
+    height: 40,
+    borderColor: "#ccc",
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    marginBottom: 20,
+    backgroundColor: "#fff",
+  },
+
+  /**
+   * Extra style for multi-line inputs.
+   * Gives room for several lines of text.
+   */
+  multilineInput: {
+    height: 80,
+    paddingTop: 8,
+    textAlignVertical: "top",
+  },
+
+  /**
+   * Extra style for the content input.
+   * Taller than other multi-line inputs, for HTML content.
+   */
+  contentInput: {
+    height: 160,
+    paddingTop: 8,
+    textAlignVertical: "top",
+  },
+
+  /**
+   * Button style for saving and deleting.
+   * Sets background color, padding, and alignment.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    marginBottom: 12,
+    width: "80%",
+    alignItems: "center",
+  },
+
+  /**
+   * Extra style for the delete button.
+   * Red to mark the destructive action.
+   */
+  deleteButton: {
+    backgroundColor: "#dc3545",
+  },
+
+  /**
+   * Text style for button labels.
+   * Applies bold weight and white color for contrast on buttons.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  /**
+   * Container style for loading indicator.
+   * Centers content vertically and horizontally on the screen.
+   */
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+});
@@ -1,20 +1,73 @@
 // components/MapViewScreen.jsx
 
-import React, { useState, useCallback } from "react";
-import { StyleSheet, View, Text, ActivityIndicator, Alert } from "react-native";
-import MapView, { Marker, Circle } from "react-native-maps";
+import React, {
+  useState,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+} from "react";
+import {
+  StyleSheet,
+  View,
+  Text,
+  ActivityIndicator,
+  Alert,
+  TouchableOpacity,
+} from "react-native";
+import MapView, {
+  Marker,
+  Circle,
+  Polyline,
+  LocalTile,
+} from "react-native-maps";
+import { Ionicons } from "@expo/vector-icons";
 import * as Location from "expo-location";
-import { getDistance } from "geolib";
 import { useLocalSearchParams, useFocusEffect } from "expo-router";
 import BottomNavigation from "../components/BottomNavigation";
-import { getLocations } from "../api/api.js";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+import { getProject, getLocations } from "../api/api.js";
+import { loadVisitedLocations } from "../utils/visits";
+import { loadSession } from "../utils/sessions";
+import SessionTimer from "../components/SessionTimer";
+import { getErrorMessage } from "../utils/errorMessages";
+import { getOfflinePacks, getPackTileTemplate } from "../api/offlineStore";
+import { UserProfileContext } from "../app/_layout";
+import { canUnlockByGps, describeTrigger } from "../utils/triggerType";
+import {
+  parsePositionString,
+  getDistanceTo,
+  getUnlockRadius,
+  isReliableReading,
+  isWithinUnlockRadius,
+  LOCATION_WATCH_OPTIONS,
+} from "../utils/proximity";
+import {
+  getGuidanceTarget,
+  getBearingTo,
+  compareWarmth,
+} from "../utils/guidance";
+import {
+  isHiddenLocation,
+  getMapDisplay,
+  getFuzzyArea,
+  MAP_AREA,
+  MAP_NONE,
+} from "../utils/visibility";
 
 /**
  * MapViewScreen Component
  *
  * Displays a map with markers representing various locations associated with a project.
+ * Unvisited locations are hidden or shown as fuzzy areas unless the project displays all locations.
+ * Map tiles from the project's offline pack, if downloaded, are drawn so the map works without signal.
  * Users can see their current location, view unlocked locations, and interact with different map markers.
+ * Unlock radii and the "within radius" highlight come from the shared proximity service, so the map
+ * always agrees with the unlock decision on the project home screen.
+ * In navigate mode, guides the user to the selected location (tap a pin to select it), the next
+ * location of a sequence project, or the nearest unvisited location, with the live bearing,
+ * distance and a straight line to it. Hidden locations only get a "warmer/colder" indicator.
+ * The play session's countdown or elapsed time is shown above the map.
  * The component handles location permissions, data fetching, and error management to provide a seamless user experience.
  *
  * @returns {JSX.Element} The rendered MapViewScreen component.
@@ -24,24 +77,22 @@ export default function MapViewScreen() {
   const [errorMsg, setErrorMsg] = useState(null);
   const [unlockedLocations, setUnlockedLocations] = useState([]);
   const [allLocations, setAllLocations] = useState([]);
+  const [project, setProject] = useState(null);
   const [loading, setLoading] = useState(true);
+  // The play session, or null before it is started
+  const [session, setSession] = useState(null);
+  // Path template of the offline pack's map tiles, or null without a pack
+  const [tileTemplate, setTileTemplate] = useState(null);
+  // Navigate mode, the location the user selected as target, and the warmer/colder indicator
+  const [navigating, setNavigating] = useState(false);
+  const [selectedLocationId, setSelectedLocationId] = useState(null);
+  const [warmth, setWarmth] = useState(null);
+  // Distance to the target when the warmer/colder indicator last changed
+  const previousDistanceRef = useRef(null);
   // Retrieve projectId from local search parameters
   const { projectId } = useLocalSearchParams();
-
-  // Define the proximity radius in meters for unlocking locations
-  const PROXIMITY_RADIUS = 100;
-
-  /**
-   * Parses a position string in the format "(latitude, longitude)" and returns an object with numeric latitude and longitude.
-   *
-   * @param {string} positionString - The position string to parse.
-   * @returns {{ latitude: number | null, longitude: number | null }} An object containing latitude and longitude.
-   */
-  const parsePositionString = (positionString) => {
-    if (!positionString) return { latitude: null, longitude: null };
-    const coords = positionString.replace(/[()]/g, "").split(",").map(Number);
-    return { latitude: coords[0], longitude: coords[1] };
-  };
+  // Active profile, whose unlocked locations are shown
+  const { activeProfileId } = useContext(UserProfileContext);
 
   /**
    * useFocusEffect hook to fetch data when the screen comes into focus.
@@ -50,9 +101,11 @@ export default function MapViewScreen() {
   useFocusEffect(
     useCallback(() => {
       let isActive = true;
+      let subscription;
 
       /**
-       * Fetches user location and project-related locations from the API.
+       * Fetches user location, the project and its locations from the API, then keeps
+       * following the user's location while the screen is focused.
        * Handles permissions, data parsing, and state updates.
        * Implements error handling to manage potential issues during data fetching.
        */
@@ -76,7 +129,30 @@ export default function MapViewScreen() {
             setLocation(loc.coords);
           }
 
-          // Fetch all locations related to the project from the API
+          // Follow the user's location, as the project home screen does
+          const watch = await Location.watchPositionAsync(
+            LOCATION_WATCH_OPTIONS,
+            (update) => setLocation(update.coords)
+          );
+          if (isActive) {
+            subscription = watch;
+          } else {
+            watch.remove();
+          }
+
+          // Use the offline pack's map tiles when the project has been downloaded with them
+          const packs = await getOfflinePacks();
+          if (isActive) {
+            setTileTemplate(
+              packs[projectId]?.tileCount > 0 ? getPackTileTemplate(projectId) : null
+            );
+          }
+
+          // Fetch the project (for its unlock radius) and its locations from the API
+          const projectData = await getProject(projectId);
+          if (isActive) {
+            setProject(projectData?.[0] ?? null);
+          }
           const fetchedLocations = await getLocations(projectId);
 
           // Parse and structure fetched locations with latitude and longitude
@@ -91,17 +167,19 @@ export default function MapViewScreen() {
             setAllLocations(locationsWithCoords);
           }
 
-          // Retrieve visited (unlocked) locations from AsyncStorage
-          const visitedLocationsJSON = await AsyncStorage.getItem(
-            `visitedLocations_${projectId}`
+          // Retrieve visited (unlocked) locations and the session from AsyncStorage
+          const visitedLocations = await loadVisitedLocations(
+            projectId,
+            activeProfileId
           );
-          const visitedLocations = visitedLocationsJSON
-            ? JSON.parse(visitedLocationsJSON)
-            : [];
+          const savedSession = await loadSession(projectId, activeProfileId);
+          if (isActive) {
+            setSession(savedSession);
+          }
 
           // Filter locations that have been unlocked by the user
           const unlocked = locationsWithCoords.filter((loc) =>
-            visitedLocations.includes(loc.id)
+            visitedLocations.has(loc.id)
           );
           if (isActive) {
             setUnlockedLocations(unlocked);
@@ -110,7 +188,11 @@ export default function MapViewScreen() {
           console.error("Error fetching locations:", error);
           Alert.alert(
             "Error",
-            "Cannot fetch locations. Please try again later."
+            getErrorMessage(error, {
+              network:
+                "Cannot fetch locations while offline. Download the project to use its map without a connection.",
+              default: "Cannot fetch locations. Please try again later.",
+            })
           );
         } finally {
           if (isActive) {
@@ -123,13 +205,109 @@ export default function MapViewScreen() {
 
       return () => {
         isActive = false;
+        if (subscription) {
+          subscription.remove();
+        }
       };
-    }, [projectId])
+    }, [projectId, activeProfileId])
   );
 
+  // IDs of the unlocked locations
+  const visited = useMemo(
+    () => new Set(unlockedLocations.map((loc) => loc.id)),
+    [unlockedLocations]
+  );
+
+  // Location the user is guided to in navigate mode
+  const target =
+    navigating && location
+      ? getGuidanceTarget(
+          project,
+          allLocations,
+          visited,
+          location,
+          selectedLocationId
+        )
+      : null;
+  const isTargetHidden =
+    target !== null && isHiddenLocation(project, target, visited);
+
+  // Start the warmer/colder indicator afresh for each target
+  useEffect(() => {
+    previousDistanceRef.current = null;
+    setWarmth(null);
+  }, [target?.id]);
+
+  // Compare each reliable reading with the distance when the indicator last changed
+  useEffect(() => {
+    if (!target || !isReliableReading(location)) return;
+    const distance = getDistanceTo(location, target);
+    const change = compareWarmth(previousDistanceRef.current, distance);
+    if (previousDistanceRef.current === null || change) {
+      previousDistanceRef.current = distance;
+    }
+    if (change) setWarmth(change);
+  }, [location, target?.id]);
+
+  /**
+   * Renders the navigate mode panel: the target's distance and bearing, or only the
+   * warmer/colder indicator for a hidden target.
+   *
+   * @returns {JSX.Element} The navigation panel.
+   */
+  const renderGuidance = () => {
+    if (!target) {
+      return (
+        <Text style={styles.guidanceText}>
+          There are no locations left to navigate to.
+        </Text>
+      );
+    }
+
+    if (isTargetHidden) {
+      return (
+        <>
+          <Text style={styles.guidanceTitle}>Hidden location</Text>
+          <Text style={styles.guidanceText}>
+            {warmth === "warmer"
+              ? "Getting warmer!"
+              : warmth === "colder"
+              ? "Getting colder..."
+              : "Start walking to find out if you are getting warmer."}
+          </Text>
+        </>
+      );
+    }
+
+    const distance = getDistanceTo(location, target);
+    const heading = getBearingTo(location, target);
+    return (
+      <>
+        <Text style={styles.guidanceTitle}>{target.location_name}</Text>
+        {heading && (
+          <View style={styles.guidanceRow}>
+            <Ionicons
+              name="arrow-up"
+              size={24}
+              color="#ff6f61"
+              style={{ transform: [{ rotate: `${heading.bearing}deg` }] }}
+            />
+            <Text style={styles.guidanceText}>
+              {distance} m {heading.direction} ({heading.bearing}°)
+            </Text>
+          </View>
+        )}
+      </>
+    );
+  };
+
   /**
-   * Renders map markers for all locations.
-   * Differentiates markers based on whether they are unlocked or within the proximity radius.
+   * Renders map markers for all locations, following the project's homescreen_display.
+   * Visited locations, and unvisited ones in projects that display all locations, get an exact pin;
+   * other unvisited locations only a fuzzy area, and in a sequence project only the next one.
+   * Differentiates pins based on whether they are unlocked or within the proximity radius.
+   * Each pin describes how its location is unlocked; QR-code-only locations have no radius circle.
+   * Tapping a pin selects it as the navigate mode target.
    *
    * @returns {JSX.Element[] | null} An array of Marker and Circle components or null if location is unavailable.
    */
@@ -142,13 +320,26 @@ export default function MapViewScreen() {
         return null;
       }
 
-      // Calculate distance between user location and the location marker
-      const distance = getDistance(
-        { latitude: location.latitude, longitude: location.longitude },
-        { latitude: loc.latitude, longitude: loc.longitude }
-      );
+      // Do not give away the position of hidden locations
+      const display = getMapDisplay(project, allLocations, visited, loc);
+      if (display === MAP_NONE) return null;
+      if (display === MAP_AREA) {
+        const area = getFuzzyArea(loc, getUnlockRadius(loc, project));
+        return (
+          <Circle
+            key={loc.id}
+            center={area.center}
+            radius={area.radius}
+            strokeColor="rgba(255,111,97,0.5)"
+            fillColor="rgba(255,111,97,0.15)"
+          />
+        );
+      }
 
-      const isWithinRadius = distance <= PROXIMITY_RADIUS;
+      // Use the same radius and check as the unlock decision
+      const isGpsTriggered = canUnlockByGps(loc);
+      const isWithinRadius =
+        isGpsTriggered && isWithinUnlockRadius(location, loc, project);
       const isUnlocked = unlockedLocations.some(
         (unlockedLoc) => unlockedLoc.id === loc.id
       );
@@ -158,19 +349,22 @@ export default function MapViewScreen() {
           <Marker
             coordinate={{ latitude: loc.latitude, longitude: loc.longitude }}
             title={loc.location_name}
-            description={loc.description}
+            description={`Unlock: ${describeTrigger(loc)}`}
             pinColor={isUnlocked ? "green" : isWithinRadius ? "blue" : "red"}
+            onPress={() => setSelectedLocationId(loc.id)}
           />
-          <Circle
-            center={{ latitude: loc.latitude, longitude: loc.longitude }}
-            radius={PROXIMITY_RADIUS}
-            strokeColor={
-              isWithinRadius ? "rgba(0,0,255,0.5)" : "rgba(255,0,0,0.5)"
-            }
-            fillColor={
-              isWithinRadius ? "rgba(0,0,255,0.2)" : "rgba(255,0,0,0.2)"
-            }
-          />
+          {isGpsTriggered && (
+            <Circle
+              center={{ latitude: loc.latitude, longitude: loc.longitude }}
+              radius={getUnlockRadius(loc, project)}
+              strokeColor={
+                isWithinRadius ? "rgba(0,0,255,0.5)" : "rgba(255,0,0,0.5)"
+              }
+              fillColor={
+                isWithinRadius ? "rgba(0,0,255,0.2)" : "rgba(255,0,0,0.2)"
+              }
+            />
+          )}
         </View>
       );
     });
@@ -199,6 +393,8 @@ export default function MapViewScreen() {
 
   return (
     <View style={styles.container}>
+      {/* Session countdown or elapsed time */}
+      {project && <SessionTimer project={project} session={session} />}
       <MapView
         style={styles.map}
         showsUserLocation={true}
@@ -209,8 +405,44 @@ export default function MapViewScreen() {
           longitudeDelta: 0.01,
         }}
       >
+        {/* Offline map tiles */}
+        {tileTemplate && (
+          <LocalTile pathTemplate={tileTemplate} tileSize={256} />
+        )}
         {renderMarkers()}
+        {/* Straight line to the navigate mode target */}
+        {target && !isTargetHidden && (
+          <Polyline
+            coordinates={[
+              { latitude: location.latitude, longitude: location.longitude },
+              { latitude: target.latitude, longitude: target.longitude },
+            ]}
+            strokeColor="#ff6f61"
+            strokeWidth={3}
+            lineDashPattern={[10, 6]}
+          />
+        )}
       </MapView>
+      {/* Warn when the GPS reading is too inaccurate to unlock locations */}
+      {!isReliableReading(location) && (
+        <View style={styles.accuracyBanner}>
+          <Text style={styles.accuracyText}>
+            Weak GPS signal. Locations will unlock once your position is more accurate.
+          </Text>
+        </View>
+      )}
+      {/* Navigate mode panel */}
+      <View style={styles.guidancePanel}>
+        {navigating && renderGuidance()}
+        <TouchableOpacity
+          style={styles.navigateButton}
+          onPress={() => setNavigating(!navigating)}
+        >
+          <Text style={styles.navigateButtonText}>
+            {navigating ? "Stop navigating" : "Navigate"}
+          </Text>
+        </TouchableOpacity>
+      </View>
       {/* Bottom Navigation Component */}
       <BottomNavigation projectId={projectId} activeScreen={activeScreen} />
     </View>
@@ -235,6 +467,85 @@ const styles = StyleSheet.create({
     flex: 1,
   },
 
+  /**
+   * Banner shown over the map when the GPS reading is too inaccurate.
+   */
+  accuracyBanner: {
+    position: "absolute",
+    top: 10,
+    left: 10,
+    right: 10,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: "rgba(255, 255, 255, 0.9)",
+  },
+
+  /**
+   * Text style for the weak GPS signal banner.
+   */
+  accuracyText: {
+    fontSize: 14,
+    color: "#555",
+    textAlign: "center",
+  },
+
+  /**
+   * Panel below the map holding the navigate button and guidance.
+   */
+  guidancePanel: {
+    padding: 10,
+    backgroundColor: "#fff",
+    alignItems: "center",
+  },
+
+  /**
+   * Title of the navigate mode target.
+   */
+  guidanceTitle: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#333",
+    marginBottom: 4,
+  },
+
+  /**
+   * Row showing the direction arrow and distance.
+   */
+  guidanceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+
+  /**
+   * Text style for the distance, bearing and warmer/colder indicator.
+   */
+  guidanceText: {
+    fontSize: 14,
+    color: "#555",
+    marginLeft: 6,
+    textAlign: "center",
+  },
+
+  /**
+   * Button turning navigate mode on and off.
+   */
+  navigateButton: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 8,
+    paddingHorizontal: 24,
+    borderRadius: 8,
+    marginTop: 8,
+  },
+
+  /**
+   * Text style for the navigate button label.
+   */
+  navigateButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
   /**
    * Container displayed while data is loading.
    * Centers the loading indicator and message.
@@ -0,0 +1,94 @@
+// components/OptionPicker.jsx
+
+import React from "react";
+import { StyleSheet, Text, TouchableOpacity, View } from "react-native";
+
+/**
+ * OptionPicker Component
+ *
+ * Renders a row of buttons for choosing one of a fixed set of values, highlighting the
+ * selected one. Used by forms in place of a dropdown.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Array<string>} props.options - The values to choose from.
+ * @param {string} props.value - The selected value.
+ * @param {Function} props.onChange - Called with the value the user chose.
+ * @param {Function} [props.getLabel] - Returns the label shown for a value; defaults to the value.
+ * @returns {JSX.Element} The rendered OptionPicker component.
+ */
+export default function OptionPicker({ options, value, onChange, getLabel }) {
+  return (
+    <View style={styles.container}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[styles.option, option === value && styles.selectedOption]}
+          onPress={() => onChange(option)}
+        >
+          <Text
+            style={[
+              styles.optionText,
+              option === value && styles.selectedOptionText,
+            ]}
+          >
+            {getLabel ? getLabel(option) : option}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+// Styles for the OptionPicker component
+const styles = StyleSheet.create({
+  /**
+   * Container for the option buttons.
+   * Wraps the buttons onto several lines, matching the width of form inputs.
+   */
+  container: {
+    width: "80%",
+    flexDirection: "row",
+    flexWrap: "wrap",
+    marginBottom: 14,
+  },
+
+  /**
+   * Style for each option button.
+   * Outlined in the app's accent color.
+   */
+  option: {
+    borderColor: "#ff6f61",
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 6,
+    backgroundColor: "#fff",
+  },
+
+  /**
+   * Style for the selected option button.
+   * Filled with the accent color.
+   */
+  selectedOption: {
+    backgroundColor: "#ff6f61",
+  },
+
+  /**
+   * Text style for option labels.
+   */
+  optionText: {
+    fontSize: 14,
+    color: "#ff6f61",
+  },
+
+  /**
+   * Text style for the selected option's label.
+   * White for contrast on the filled button.
+   */
+  selectedOptionText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+});
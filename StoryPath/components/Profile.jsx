@@ -1,6 +1,6 @@
 // components/Profile.jsx
 
-import React, { useState, useContext } from "react";
+import React, { useState, useContext, useEffect } from "react";
 import {
   View,
   Text,
@@ -11,41 +11,70 @@ import {
   Alert,
 } from "react-native";
 import * as ImagePicker from "expo-image-picker";
-import { router } from "expo-router";
+import { router, useLocalSearchParams } from "expo-router";
 import { UserProfileContext } from "../app/_layout";
 
 /**
  * Profile Component
  *
  * Allows users to create and manage their personal profiles by setting a username and selecting an avatar.
- * Provides options to save, reset profile information, and navigate back to the welcome page.
- * Manages state using context and enables image selection from the device's gallery.
+ * Provides options to save, reset profile information, add another profile, and navigate back to the
+ * welcome page. Opening the screen with `mode=new` shows an empty form for an additional profile.
+ * Saves the profile on the device through the shared context, so it is kept across app restarts,
+ * and enables image selection from the device's gallery.
  *
  * @returns {JSX.Element} The rendered Profile component.
  */
 export default function Profile() {
-  // Context to set global user profile data (username, avatar)
-  const { setUsername, setAvatarUri } = useContext(UserProfileContext);
+  // Context holding the active user profile and functions to save or reset it
+  const {
+    username,
+    avatarUri,
+    activeProfileId,
+    updateProfile,
+    resetProfile: clearSavedProfile,
+  } = useContext(UserProfileContext);
+  // "new" when the screen was opened to add another profile
+  const { mode } = useLocalSearchParams();
   // Local state to store user-entered username and selected avatar URI
-  const [localUsername, setLocalUsername] = useState("");
-  const [localAvatarUri, setLocalAvatarUri] = useState("");
+  const [localUsername, setLocalUsername] = useState(username);
+  const [localAvatarUri, setLocalAvatarUri] = useState(avatarUri || "");
   // Track whether the profile has been created
-  const [isProfileCreated, setIsProfileCreated] = useState(false);
+  const [isProfileCreated, setIsProfileCreated] = useState(!!username);
+
+  // Show the active profile, or an empty form when adding a profile
+  useEffect(() => {
+    const isNew = mode === "new";
+    setLocalUsername(isNew ? "" : username);
+    setLocalAvatarUri(isNew ? "" : avatarUri || "");
+    setIsProfileCreated(!isNew && !!username);
+  }, [activeProfileId, mode]);
 
   /**
-   * Saves the user's profile information to the global context.
+   * Saves the user's profile information on the device and in the global context.
    * Ensures that both username and avatar URI are provided before saving.
-   * Updates the global context and navigates to the welcome page.
+   * The profile is added as a new, active profile and its avatar is copied into app storage,
+   * then the user is sent to the welcome page.
    */
-  const saveProfile = () => {
-    if (!localUsername || !localAvatarUri) {
+  const saveProfile = async () => {
+    if (!localUsername.trim() || !localAvatarUri) {
       Alert.alert("Please fill in your username and select an avatar.");
       return;
     }
-    setUsername(localUsername);
-    setAvatarUri(localAvatarUri);
-    setIsProfileCreated(true);
-
+    try {
+      const saved = await updateProfile({
+        username: localUsername,
+        avatarUri: localAvatarUri,
+      });
+      setLocalUsername(saved.username);
+      setLocalAvatarUri(saved.avatarUri);
+      setIsProfileCreated(true);
+      router.setParams({ mode: "" });
+    } catch (error) {
+      console.error("Error saving profile:", error);
+      Alert.alert("Error", "Unable to save your profile.");
+      return;
+    }
     Alert.alert("Profile saved!", "", [
       {
         text: "Confirm",
@@ -80,14 +109,27 @@ export default function Profile() {
 
   /**
    * Resets the profile information.
-   * Clears local profile data but keeps the selected avatar URI.
+   * Removes the active profile, its avatar and its progress from the device. The next saved
+   * profile is shown if there is one, otherwise the empty form.
    */
-  const resetProfile = () => {
-    setIsProfileCreated(false);
-    setAvatarUri(localAvatarUri);
+  const resetProfile = async () => {
+    try {
+      await clearSavedProfile();
+    } catch (error) {
+      console.error("Error resetting profile:", error);
+      Alert.alert("Error", "Unable to reset your profile.");
+      return;
+    }
     Alert.alert("Profile reset.");
   };
 
+  /**
+   * Shows an empty form for adding another profile.
+   */
+  const addProfile = () => {
+    router.setParams({ mode: "new" });
+  };
+
   /**
    * Navigates the user back to the welcome page.
    */
@@ -118,6 +160,15 @@ export default function Profile() {
         <TouchableOpacity style={styles.button} onPress={saveProfile}>
           <Text style={styles.buttonText}>Save Personal Profile</Text>
         </TouchableOpacity>
+
+        {mode === "new" && username ? (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => router.setParams({ mode: "" })}
+          >
+            <Text style={styles.buttonText}>Cancel</Text>
+          </TouchableOpacity>
+        ) : null}
       </View>
     );
   } else {
@@ -131,6 +182,10 @@ export default function Profile() {
           <Text style={styles.buttonText}>Reset Personal Profiles</Text>
         </TouchableOpacity>
 
+        <TouchableOpacity style={styles.button} onPress={addProfile}>
+          <Text style={styles.buttonText}>Add Another Profile</Text>
+        </TouchableOpacity>
+
         <TouchableOpacity style={styles.button} onPress={goToWelcomePage}>
           <Text style={styles.buttonText}>Back to Welcome Page</Text>
         </TouchableOpacity>
@@ -14,13 +14,18 @@ import {
 import { Ionicons } from "@expo/vector-icons";
 import { useRouter } from "expo-router";
 
-import { getProjects, getProjectParticipantCount } from "../api/api.js";
+import { getProjects, getProjectParticipantCounts } from "../api/api.js";
+import { getOfflinePacks, deleteOfflinePack } from "../api/offlineStore";
+import { downloadOfflinePack, formatPackSize } from "../utils/offlinePacks";
+import { getErrorMessage } from "../utils/errorMessages";
 
 /**
  * Project Component
  *
  * Renders a list of projects, each displaying its image, title, description, and participant count.
  * Users can navigate to each project's detail page by tapping on a project item.
+ * Each project can be downloaded for offline use; downloaded projects show the pack size
+ * and when it was last synced.
  *
  * @returns {JSX.Element} The rendered Project component.
  */
@@ -29,6 +34,10 @@ export default function Project() {
   const [projects, setProjects] = useState([]);
   // State to manage loading status during data fetching
   const [loading, setLoading] = useState(true);
+  // Summaries of the downloaded offline packs, keyed by project ID
+  const [packs, setPacks] = useState({});
+  // Progress (0 to 1) of the offline packs being downloaded, keyed by project ID
+  const [downloading, setDownloading] = useState({});
   // Router hook to manage screen navigation
   const router = useRouter();
 
@@ -39,44 +48,47 @@ export default function Project() {
    */
   useEffect(() => {
     /**
-     * Fetches project data from the API, retrieves participant counts for each project,
-     * and updates the state with the fetched data. If an error occurs, an alert is displayed.
+     * Fetches project data from the API, retrieves the participant counts of all projects
+     * in a single request, and updates the state with the fetched data. If an error occurs, an alert is displayed.
+     * Cached data is shown straight away and replaced once a background refresh changes it.
      */
     const fetchProjects = async () => {
       try {
+        // Load the offline packs already on the device
+        setPacks(await getOfflinePacks());
+
         // Fetch project list from API
-        const data = await getProjects();
+        const data = await getProjects({ onUpdate: () => fetchProjects() });
         if (data.length === 0) {
           Alert.alert("No Projects", "There are no projects available.");
           return;
         }
 
-        // Fetch participant count for each project
-        const projectsWithParticipants = await Promise.all(
-          data.map(async (project) => {
-            try {
-              // Retrieve participant count for the current project
-              const participantCount = await getProjectParticipantCount(
-                project.id
-              );
-              return { ...project, participantCount: participantCount || 0 };
-            } catch (trackingError) {
-              console.error(
-                `Error fetching participant data for project ${project.id}:`,
-                trackingError
-              );
-              return { ...project, participantCount: 0 };
+        // Fetch the participant counts of all projects at once
+        let counts = {};
+        try {
+          counts = await getProjectParticipantCounts(
+            data.map((project) => project.id),
+            {
+              onUpdate: (fresh) =>
+                setProjects((current) => withParticipantCounts(current, fresh)),
             }
-          })
-        );
+          );
+        } catch (trackingError) {
+          console.error("Error fetching participant data:", trackingError);
+        }
 
         // Set projects with participant counts in state
-        setProjects(projectsWithParticipants);
+        setProjects(withParticipantCounts(data, counts));
       } catch (error) {
         console.error("Error fetching projects:", error);
         Alert.alert(
           "Error",
-          "Unable to load project data. Please try again later."
+          getErrorMessage(error, {
+            network:
+              "Unable to load projects while offline. Download projects to use them without a connection.",
+            default: "Unable to load project data. Please try again later.",
+          })
         );
       } finally {
         // Set loading state to false after data fetching is complete
@@ -84,10 +96,95 @@ export default function Project() {
       }
     };
 
+    /**
+     * Merges participant counts into a project list.
+     *
+     * @param {Array} list - The projects.
+     * @param {Object} counts - Participant counts keyed by project ID.
+     * @returns {Array} The projects with their participantCount set, 0 when unknown.
+     */
+    const withParticipantCounts = (list, counts) =>
+      list.map((project) => ({
+        ...project,
+        participantCount: counts[project.id] || 0,
+      }));
+
     // Fetch projects on component mount
     fetchProjects();
   }, []);
 
+  /**
+   * Downloads a project's offline pack, or brings it up to date, showing the progress on its card.
+   *
+   * @param {Object} project - The project to download.
+   * @returns {Promise<void>}
+   */
+  const downloadPack = async (project) => {
+    setDownloading((current) => ({ ...current, [project.id]: 0 }));
+    try {
+      const pack = await downloadOfflinePack(project.id, (progress) =>
+        setDownloading((current) => ({ ...current, [project.id]: progress }))
+      );
+      setPacks((current) => ({ ...current, [project.id]: pack }));
+      Alert.alert(
+        "Download Complete",
+        `${project.title} is available offline (${formatPackSize(pack.size)}).`
+      );
+    } catch (error) {
+      console.error("Error downloading offline pack:", error);
+      Alert.alert(
+        "Error",
+        getErrorMessage(error, {
+          network:
+            "Unable to download this project. Please check your connection and try again.",
+          notFound: "This project is no longer available.",
+          default: "Unable to download this project. Please try again later.",
+        })
+      );
+    } finally {
+      setDownloading(({ [project.id]: _, ...rest }) => rest);
+    }
+  };
+
+  /**
+   * Removes a project's offline pack from the device.
+   *
+   * @param {Object} project - The project whose pack to remove.
+   * @returns {Promise<void>}
+   */
+  const removePack = async (project) => {
+    try {
+      await deleteOfflinePack(project.id);
+      setPacks(({ [project.id]: _, ...rest }) => rest);
+    } catch (error) {
+      console.error("Error removing offline pack:", error);
+      Alert.alert("Error", "Unable to remove the offline pack.");
+    }
+  };
+
+  /**
+   * Handles the offline button on a project card: downloads the project, or offers to
+   * update or remove a pack that is already downloaded.
+   *
+   * @param {Object} project - The project whose button was pressed.
+   */
+  const handleOfflinePress = (project) => {
+    if (downloading[project.id] !== undefined) return;
+    if (!packs[project.id]) {
+      downloadPack(project);
+      return;
+    }
+    Alert.alert("Offline Pack", `${project.title} is available offline.`, [
+      { text: "Update", onPress: () => downloadPack(project) },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: () => removePack(project),
+      },
+      { text: "Cancel", style: "cancel" },
+    ]);
+  };
+
   /**
    * Renders each project item within the FlatList.
    *
@@ -96,7 +193,8 @@ export default function Project() {
    * @param {string} param0.item.title - Title of the project.
    * @param {string} param0.item.description - Short description of the project.
    * @param {number} param0.item.participantCount - Number of participants in the project.
-   * @returns {JSX.Element} The rendered project card with title, description, and participant count.
+   * @returns {JSX.Element} The rendered project card with title, description, participant count
+   * and offline pack status.
    */
   const renderItem = ({ item }) => (
     <TouchableOpacity
@@ -110,7 +208,42 @@ export default function Project() {
         <Text style={styles.participantCount}>
           Number of participants: {item.participantCount}
         </Text>
+        {/* Offline pack status */}
+        {downloading[item.id] !== undefined ? (
+          <Text style={styles.offlineInfo}>
+            Downloading... {Math.round(downloading[item.id] * 100)}%
+          </Text>
+        ) : (
+          packs[item.id] && (
+            <Text style={styles.offlineInfo}>
+              Offline: {formatPackSize(packs[item.id].size)}, synced{" "}
+              {new Date(packs[item.id].syncedAt).toLocaleString()}
+            </Text>
+          )
+        )}
       </View>
+      {/* Download for offline */}
+      <TouchableOpacity
+        style={styles.cardButton}
+        onPress={() => handleOfflinePress(item)}
+      >
+        {downloading[item.id] !== undefined ? (
+          <ActivityIndicator size="small" color="#ff6f61" />
+        ) : (
+          <Ionicons
+            name={packs[item.id] ? "cloud-done-outline" : "cloud-download-outline"}
+            size={24}
+            color="#ff6f61"
+          />
+        )}
+      </TouchableOpacity>
+      {/* Open the project's leaderboard */}
+      <TouchableOpacity
+        style={styles.cardButton}
+        onPress={() => router.push(`/leaderboard?projectId=${item.id}`)}
+      >
+        <Ionicons name="trophy-outline" size={24} color="#ff6f61" />
+      </TouchableOpacity>
       <Ionicons name="chevron-forward" size={24} color="#555" />
     </TouchableOpacity>
   );
@@ -241,6 +374,24 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  /**
+   * Style for the offline pack status text.
+   * Small accent-colored text below the participant count.
+   */
+  offlineInfo: {
+    fontSize: 12,
+    color: "#ff6f61",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for the offline and leaderboard buttons on a project card.
+   * Adds padding so the icon is easy to tap.
+   */
+  cardButton: {
+    padding: 8,
+  },
+
   /**
    * Style for text displayed when no projects are found.
    * Centers the text with defined font size and color.
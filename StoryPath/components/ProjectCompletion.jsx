@@ -0,0 +1,590 @@
+// components/ProjectCompletion.jsx
+
+import React, { useState, useCallback, useContext, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import MapView, { Marker, Polyline } from "react-native-maps";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
+import { getProject, getLocations } from "../api/api.js";
+import { UserProfileContext } from "../app/_layout";
+import LocationContentViewer from "../components/LocationContentViewer";
+import { loadVisitedLocations, loadVisitHistory } from "../utils/visits";
+import { loadSession } from "../utils/sessions";
+import { getScoringMode, isProjectComplete, SCORING_NOT_SCORED } from "../utils/scoring";
+import { parsePositionString } from "../utils/proximity";
+import { UNLOCK_METHOD_QR } from "../utils/triggerType";
+import { formatDuration } from "../utils/leaderboard";
+import {
+  buildCompletionSummary,
+  saveCertificate,
+  shareCertificate,
+} from "../utils/completion";
+import { getErrorMessage } from "../utils/errorMessages";
+
+/**
+ * ProjectCompletion Component
+ *
+ * Summarises the project given by the `projectId` param once the active profile has completed
+ * it: the total time, the route taken on a map and as a list, the points earned and every
+ * unlocked story. The completion certificate at the top can be saved to the photo library
+ * or shared as an image.
+ *
+ * @returns {JSX.Element} The rendered ProjectCompletion component.
+ */
+export default function ProjectCompletion() {
+  // The project, its locations and the completion summary
+  const [project, setProject] = useState(null);
+  const [locations, setLocations] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Location whose story is shown in the content viewer, or null when closed
+  const [contentLocation, setContentLocation] = useState(null);
+  // Certificate action in progress ("save" or "share"), or null
+  const [exporting, setExporting] = useState(null);
+
+  const { projectId } = useLocalSearchParams();
+  const { username, activeProfileId } = useContext(UserProfileContext);
+  const router = useRouter();
+  const certificateRef = useRef(null);
+  const mapRef = useRef(null);
+
+  /**
+   * useFocusEffect hook to load the project and the active profile's visits whenever the
+   * screen comes into focus, and build the completion summary.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+
+      const fetchSummary = async () => {
+        try {
+          const projectData = await getProject(projectId);
+          if (!projectData || projectData.length === 0) {
+            Alert.alert("Error", "Project not found.");
+            return;
+          }
+          const allLocations = await getLocations(projectId);
+          const visited = await loadVisitedLocations(projectId, activeProfileId);
+          const history = await loadVisitHistory(projectId, activeProfileId);
+          const session = await loadSession(projectId, activeProfileId);
+          if (!isActive) return;
+
+          setProject(projectData[0]);
+          setLocations(allLocations);
+          setSummary(
+            isProjectComplete(projectData[0], allLocations, visited)
+              ? buildCompletionSummary(
+                  projectData[0],
+                  allLocations,
+                  history,
+                  visited,
+                  session
+                )
+              : null
+          );
+        } catch (error) {
+          console.error("Error fetching completion summary:", error);
+          Alert.alert(
+            "Error",
+            getErrorMessage(error, {
+              network:
+                "Unable to load this project while offline. Download it from the project list to use it without a connection.",
+              default: "Unable to load your summary. Please try again later.",
+            })
+          );
+        } finally {
+          if (isActive) setLoading(false);
+        }
+      };
+
+      setLoading(true);
+      fetchSummary();
+
+      return () => {
+        isActive = false;
+      };
+    }, [projectId, activeProfileId])
+  );
+
+  /**
+   * Saves the certificate image to the photo library.
+   *
+   * @returns {Promise<void>}
+   */
+  const handleSave = async () => {
+    setExporting("save");
+    try {
+      if (await saveCertificate(certificateRef)) {
+        Alert.alert("Certificate Saved", "Your certificate was saved to your photos.");
+      } else {
+        Alert.alert(
+          "Permission denied",
+          "Allow access to your photos to save the certificate."
+        );
+      }
+    } catch (error) {
+      console.error("Error saving certificate:", error);
+      Alert.alert("Error", "Unable to save the certificate.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  /**
+   * Opens the share sheet with the certificate image.
+   *
+   * @returns {Promise<void>}
+   */
+  const handleShare = async () => {
+    setExporting("share");
+    try {
+      await shareCertificate(certificateRef, project);
+    } catch (error) {
+      console.error("Error sharing certificate:", error);
+      Alert.alert("Error", "Unable to share the certificate.");
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // Display loading indicator while the summary is being built
+  if (loading) {
+    return (
+      <View style={styles.messageContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  // The summary is only shown once the project is complete
+  if (!project || !summary) {
+    return (
+      <View style={styles.messageContainer}>
+        <Text style={styles.messageText}>
+          {project
+            ? "Finish the project to see your summary and certificate."
+            : "Project not found."}
+        </Text>
+        {project && (
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() => router.push(`/projectHomeScreen?projectId=${projectId}`)}
+          >
+            <Text style={styles.buttonText}>Back to Project</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  }
+
+  const isScored = getScoringMode(project) !== SCORING_NOT_SCORED;
+  const totalTime =
+    summary.totalTime !== null ? formatDuration(summary.totalTime) : "—";
+  // Coordinates of the route, in the order the locations were visited
+  const routeStops = summary.route
+    .map((stop) => ({
+      ...stop,
+      ...parsePositionString(stop.location.location_position),
+    }))
+    .filter((stop) => stop.latitude !== null && stop.longitude !== null);
+  const routeCoordinates = routeStops.map(({ latitude, longitude }) => ({
+    latitude,
+    longitude,
+  }));
+
+  return (
+    <View style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        {/* Completion certificate, captured as an image to save or share */}
+        <View ref={certificateRef} collapsable={false} style={styles.certificate}>
+          <Text style={styles.certificateLabel}>Certificate of Completion</Text>
+          <Text style={styles.certificateTitle}>{project.title}</Text>
+          <Text style={styles.certificateText}>
+            completed by {username || "an explorer"}
+          </Text>
+          <Text style={styles.certificateText}>
+            {summary.route.length} of {locations.length} locations
+            {isScored ? ` · ${summary.earned} / ${summary.possible} points` : ""}
+            {summary.totalTime !== null ? ` · ${totalTime}` : ""}
+          </Text>
+          {summary.completedAt && (
+            <Text style={styles.certificateDate}>
+              {new Date(summary.completedAt).toLocaleDateString()}
+            </Text>
+          )}
+        </View>
+
+        {/* Certificate actions */}
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.button, styles.rowButton]}
+            onPress={handleSave}
+            disabled={exporting !== null}
+          >
+            {exporting === "save" ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Save Certificate</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.button, styles.rowButton]}
+            onPress={handleShare}
+            disabled={exporting !== null}
+          >
+            {exporting === "share" ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Share Certificate</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Total time and points */}
+        <View style={styles.statsContainer}>
+          <View style={styles.statBox}>
+            <Text style={styles.statTitle}>Total time</Text>
+            <Text style={styles.statValue}>{totalTime}</Text>
+          </View>
+          {isScored && (
+            <View style={styles.statBox}>
+              <Text style={styles.statTitle}>Points</Text>
+              <Text style={styles.statValue}>
+                {summary.earned} / {summary.possible}
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {/* Route taken */}
+        <Text style={styles.sectionTitle}>Your route</Text>
+        {routeStops.length > 0 && (
+          <MapView
+            ref={mapRef}
+            style={styles.map}
+            initialRegion={{
+              latitude: routeStops[0].latitude,
+              longitude: routeStops[0].longitude,
+              latitudeDelta: 0.01,
+              longitudeDelta: 0.01,
+            }}
+            onMapReady={() =>
+              mapRef.current?.fitToCoordinates(routeCoordinates, {
+                edgePadding: { top: 40, right: 40, bottom: 40, left: 40 },
+                animated: false,
+              })
+            }
+          >
+            {routeStops.map((stop, index) => (
+              <Marker
+                key={stop.location.id}
+                coordinate={{ latitude: stop.latitude, longitude: stop.longitude }}
+                title={`${index + 1}. ${stop.location.location_name}`}
+                pinColor="#ff6f61"
+              />
+            ))}
+            <Polyline
+              coordinates={routeCoordinates}
+              strokeColor="#ff6f61"
+              strokeWidth={3}
+            />
+          </MapView>
+        )}
+        {summary.route.map((stop, index) => (
+          <View key={stop.location.id} style={styles.stopCard}>
+            <Text style={styles.stopNumber}>{index + 1}</Text>
+            <View style={styles.stopInfo}>
+              <Text style={styles.stopName}>{stop.location.location_name}</Text>
+              <Text style={styles.stopDetails}>
+                {stop.visitedAt
+                  ? new Date(stop.visitedAt).toLocaleTimeString()
+                  : "Time not recorded"}
+                {stop.unlockMethod
+                  ? stop.unlockMethod === UNLOCK_METHOD_QR
+                    ? " · scanned QR code"
+                    : " · visited in person"
+                  : ""}
+              </Text>
+            </View>
+            {/* Unlocked story */}
+            <TouchableOpacity onPress={() => setContentLocation(stop.location)}>
+              <Text style={styles.viewContent}>Read story</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+      </ScrollView>
+      {/* Unlocked location content */}
+      <LocationContentViewer
+        location={contentLocation}
+        onClose={() => setContentLocation(null)}
+      />
+    </View>
+  );
+}
+
+// Styles for the ProjectCompletion component
+const styles = StyleSheet.create({
+  /**
+   * Main container style.
+   * Sets the background color to align with app theme.
+   */
+  container: {
+    flex: 1,
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Padding around the scrolled summary.
+   */
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+
+  /**
+   * Container for the loading indicator and messages.
+   * Centers content vertically and horizontally on the screen.
+   */
+  messageContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Style for the message shown before the project is complete.
+   */
+  messageText: {
+    fontSize: 16,
+    color: "#555",
+    textAlign: "center",
+    marginBottom: 20,
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+
+  /**
+   * Certificate card style.
+   * A bordered card with a solid background so the captured image is not transparent.
+   */
+  certificate: {
+    backgroundColor: "#fff",
+    borderColor: "#ff6f61",
+    borderWidth: 3,
+    borderRadius: 12,
+    padding: 24,
+    alignItems: "center",
+    marginBottom: 16,
+  },
+
+  /**
+   * Style for the certificate heading.
+   */
+  certificateLabel: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    textTransform: "uppercase",
+    letterSpacing: 1,
+  },
+
+  /**
+   * Style for the project title on the certificate.
+   */
+  certificateTitle: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#333",
+    textAlign: "center",
+    marginVertical: 12,
+  },
+
+  /**
+   * Style for the participant and results on the certificate.
+   */
+  certificateText: {
+    fontSize: 16,
+    color: "#555",
+    textAlign: "center",
+    marginBottom: 4,
+  },
+
+  /**
+   * Style for the completion date on the certificate.
+   */
+  certificateDate: {
+    fontSize: 12,
+    color: "#777",
+    marginTop: 8,
+  },
+
+  /**
+   * Row holding the certificate buttons.
+   */
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+
+  /**
+   * Button style for the certificate actions and going back to the project.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    marginBottom: 16,
+    alignItems: "center",
+  },
+
+  /**
+   * Extra style for buttons sharing a row.
+   */
+  rowButton: {
+    flex: 1,
+    paddingHorizontal: 8,
+    marginHorizontal: 4,
+  },
+
+  /**
+   * Text style for button labels.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  /**
+   * Container for the total time and points boxes.
+   */
+  statsContainer: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginBottom: 16,
+  },
+
+  /**
+   * Style for each statistic box.
+   */
+  statBox: {
+    flex: 1,
+    alignItems: "center",
+    backgroundColor: "#fff",
+    padding: 12,
+    borderRadius: 8,
+    marginHorizontal: 4,
+    elevation: 2,
+  },
+
+  /**
+   * Style for the statistic label.
+   */
+  statTitle: {
+    fontSize: 14,
+    color: "#777",
+  },
+
+  /**
+   * Style for the statistic value.
+   */
+  statValue: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: "#333",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for the route section heading.
+   */
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#333",
+    marginBottom: 8,
+  },
+
+  /**
+   * Style for the route map.
+   */
+  map: {
+    height: 220,
+    borderRadius: 8,
+    marginBottom: 12,
+  },
+
+  /**
+   * Style for each stop on the route.
+   */
+  stopCard: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 8,
+    elevation: 2,
+  },
+
+  /**
+   * Style for the stop's position on the route.
+   */
+  stopNumber: {
+    width: 28,
+    fontSize: 18,
+    fontWeight: "bold",
+    color: "#ff6f61",
+  },
+
+  /**
+   * Container for the stop's name and details, taking the remaining space.
+   */
+  stopInfo: {
+    flex: 1,
+  },
+
+  /**
+   * Style for the location name.
+   */
+  stopName: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#333",
+  },
+
+  /**
+   * Style for the visit time and unlock method.
+   */
+  stopDetails: {
+    fontSize: 12,
+    color: "#777",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for the link opening the location's story.
+   */
+  viewContent: {
+    color: "#ff6f61",
+    fontWeight: "bold",
+  },
+});
@@ -0,0 +1,629 @@
+// components/ProjectEditor.jsx
+
+import React, { useState, useContext, useEffect, useCallback, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  Switch,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useLocalSearchParams, useRouter } from "expo-router";
+import {
+  getProject,
+  getLocations,
+  getLocationParticipantCounts,
+  createProject,
+  updateProject,
+  deleteProject,
+  deleteLocation,
+} from "../api/api.js";
+import OptionPicker from "./OptionPicker";
+import CreatorRequired from "./CreatorRequired";
+import {
+  HOMESCREEN_DISPLAY_OPTIONS,
+  PARTICIPANT_SCORING_OPTIONS,
+  buildProjectRecord,
+} from "../utils/authoring";
+import { sortByOrder } from "../utils/sequence";
+import { describeTrigger } from "../utils/triggerType";
+import { shareQrSheet } from "../utils/qrSheet";
+import { getErrorMessage } from "../utils/errorMessages";
+import { ROLE_CREATOR } from "../api/config";
+import { UserProfileContext } from "../app/_layout";
+
+// Form values of a new project
+const EMPTY_PROJECT = {
+  title: "",
+  description: "",
+  instructions: "",
+  initial_clue: "",
+  homescreen_display: HOMESCREEN_DISPLAY_OPTIONS[0],
+  participant_scoring: PARTICIPANT_SCORING_OPTIONS[0],
+  time_limit_minutes: "",
+  is_published: false,
+};
+
+/**
+ * ProjectEditor Component
+ *
+ * Form for creating a project, or editing the one given by the `projectId` param
+ * ("new" for a new project). Edits the project's title, description, instructions,
+ * initial clue, home screen display, scoring, time limit and published state. Once the project
+ * has been saved, its locations are listed below the form with how many participants have
+ * visited each, and can be added or opened in the location editor, and their QR codes
+ * exported as a printable sheet. Deleting a project also deletes its locations.
+ * Only creators can use the editor.
+ *
+ * @returns {JSX.Element} The rendered ProjectEditor component.
+ */
+export default function ProjectEditor() {
+  const { projectId } = useLocalSearchParams();
+  const { role } = useContext(UserProfileContext);
+
+  // The editor is only available to creators
+  if (role !== ROLE_CREATOR) {
+    return <CreatorRequired />;
+  }
+
+  // A fresh form for every project, so nothing is carried over from the one shown before
+  return <ProjectEditorForm key={projectId ?? "new"} projectId={projectId} />;
+}
+
+/**
+ * The project editor's form, for one project. See ProjectEditor.
+ *
+ * @param {Object} props - Component properties.
+ * @param {string} [props.projectId] - ID of the project to edit, or "new" for a new project.
+ * @returns {JSX.Element} The rendered form.
+ */
+function ProjectEditorForm({ projectId }) {
+  // Form values
+  const [form, setForm] = useState(EMPTY_PROJECT);
+  // The project's locations, in their configured order
+  const [locations, setLocations] = useState([]);
+  // Number of participants who have visited each location, keyed by location ID
+  const [participantCounts, setParticipantCounts] = useState({});
+  const isNew = !projectId || projectId === "new";
+  // A new project has nothing to load
+  const [loading, setLoading] = useState(!isNew);
+  const [saving, setSaving] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  // The project as last loaded or saved, or null for a new project
+  const savedProjectRef = useRef(null);
+
+  const router = useRouter();
+
+  /**
+   * Updates one form field.
+   *
+   * @param {string} field - The project field.
+   * @param {*} value - The new value.
+   */
+  const setField = (field, value) =>
+    setForm((current) => ({ ...current, [field]: value }));
+
+  // Fill the form with the project being edited; a new project starts with an empty form
+  useEffect(() => {
+    if (isNew) return;
+
+    let isActive = true;
+    getProject(projectId)
+      .then((data) => {
+        if (!isActive) return;
+        if (!data || data.length === 0) {
+          Alert.alert("Error", "Project not found.");
+          return;
+        }
+        const project = data[0];
+        savedProjectRef.current = project;
+        setForm({
+          ...EMPTY_PROJECT,
+          ...Object.fromEntries(
+            Object.keys(EMPTY_PROJECT)
+              .filter((field) => project[field] != null)
+              .map((field) => [
+                field,
+                typeof EMPTY_PROJECT[field] === "string"
+                  ? String(project[field])
+                  : project[field],
+              ])
+          ),
+        });
+      })
+      .catch((error) => {
+        console.error("Error fetching project:", error);
+        Alert.alert(
+          "Error",
+          getErrorMessage(error, {
+            notFound: "Project not found.",
+            default: "Unable to load this project.",
+          })
+        );
+      })
+      .finally(() => {
+        if (isActive) setLoading(false);
+      });
+
+    return () => {
+      isActive = false;
+    };
+  }, [projectId, isNew]);
+
+  /**
+   * useFocusEffect hook to reload the project's locations whenever the screen comes into focus,
+   * so locations saved in the location editor are listed, with the participant counts of all
+   * of them fetched in one request.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      if (isNew) return;
+      let isActive = true;
+      getLocations(projectId)
+        .then(async (data) => {
+          if (!isActive) return;
+          setLocations(sortByOrder(data));
+          const counts = await getLocationParticipantCounts(
+            data.map((location) => location.id),
+            { onUpdate: (fresh) => isActive && setParticipantCounts(fresh) }
+          );
+          if (isActive) setParticipantCounts(counts);
+        })
+        .catch((error) => console.error("Error fetching locations:", error));
+      return () => {
+        isActive = false;
+      };
+    }, [projectId, isNew])
+  );
+
+  /**
+   * Creates or updates the project. A new project stays open in the editor, so
+   * locations can be added to it.
+   */
+  const saveProject = async () => {
+    const { project, error } = buildProjectRecord(form, savedProjectRef.current);
+    if (error) {
+      Alert.alert(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (isNew) {
+        const created = await createProject(project);
+        savedProjectRef.current = created[0];
+        router.setParams({ projectId: String(created[0].id) });
+      } else {
+        await updateProject(projectId, project);
+        savedProjectRef.current = { ...savedProjectRef.current, ...project };
+      }
+      Alert.alert("Project saved!");
+    } catch (saveError) {
+      console.error("Error saving project:", saveError);
+      Alert.alert(
+        "Error",
+        getErrorMessage(saveError, {
+          validation: "The server did not accept this project. Please check its fields.",
+          default: "Unable to save this project. Please try again later.",
+        })
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Exports a PDF sheet with a QR code for each location that can be unlocked by scanning,
+   * and opens the share sheet to print or send it.
+   */
+  const exportQrCodes = async () => {
+    setExporting(true);
+    try {
+      const count = await shareQrSheet(projectId);
+      if (count === 0) {
+        Alert.alert(
+          "No QR Codes",
+          "None of this project's locations can be unlocked by scanning a QR code."
+        );
+      }
+    } catch (error) {
+      console.error("Error exporting QR codes:", error);
+      Alert.alert(
+        "Error",
+        getErrorMessage(error, {
+          default: "Unable to export the QR codes. Please try again later.",
+        })
+      );
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /**
+   * Asks for confirmation, then deletes the project and its locations and returns to the
+   * authoring list.
+   */
+  const confirmDelete = () => {
+    Alert.alert(
+      "Delete Project",
+      `Delete ${form.title || "this project"} and all of its locations? This cannot be undone.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              for (const location of locations) {
+                await deleteLocation(location.id);
+              }
+              await deleteProject(projectId);
+              router.replace("/authoring");
+            } catch (error) {
+              console.error("Error deleting project:", error);
+              Alert.alert(
+                "Error",
+                getErrorMessage(error, {
+                  default: "Unable to delete this project. Please try again later.",
+                })
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Display loading indicator while the project is being fetched
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title}>{isNew ? "New Project" : "Edit Project"}</Text>
+
+      {/* Title */}
+      <Text style={styles.label}>Title</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. Campus History Trail"
+        value={form.title}
+        onChangeText={(value) => setField("title", value)}
+      />
+
+      {/* Description */}
+      <Text style={styles.label}>Description</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        placeholder="Shown on the project list"
+        value={form.description}
+        onChangeText={(value) => setField("description", value)}
+        multiline={true}
+      />
+
+      {/* Instructions */}
+      <Text style={styles.label}>Instructions</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        placeholder="How participants play the project"
+        value={form.instructions}
+        onChangeText={(value) => setField("instructions", value)}
+        multiline={true}
+      />
+
+      {/* Home screen display */}
+      <Text style={styles.label}>Home screen display</Text>
+      <OptionPicker
+        options={HOMESCREEN_DISPLAY_OPTIONS}
+        value={form.homescreen_display}
+        onChange={(value) => setField("homescreen_display", value)}
+      />
+
+      {/* Initial clue */}
+      <Text style={styles.label}>Initial clue</Text>
+      <TextInput
+        style={[styles.input, styles.multilineInput]}
+        placeholder="Where participants should start"
+        value={form.initial_clue}
+        onChangeText={(value) => setField("initial_clue", value)}
+        multiline={true}
+      />
+
+      {/* Participant scoring */}
+      <Text style={styles.label}>Participant scoring</Text>
+      <OptionPicker
+        options={PARTICIPANT_SCORING_OPTIONS}
+        value={form.participant_scoring}
+        onChange={(value) => setField("participant_scoring", value)}
+      />
+
+      {/* Time limit */}
+      <Text style={styles.label}>Time limit (minutes)</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Leave empty for no time limit"
+        value={form.time_limit_minutes}
+        onChangeText={(value) => setField("time_limit_minutes", value)}
+        keyboardType="number-pad"
+      />
+
+      {/* Published */}
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>Published</Text>
+        <Switch
+          value={form.is_published}
+          onValueChange={(value) => setField("is_published", value)}
+          trackColor={{ true: "#ff6f61" }}
+        />
+      </View>
+
+      <TouchableOpacity
+        style={styles.button}
+        onPress={saveProject}
+        disabled={saving}
+      >
+        {saving ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>Save Project</Text>
+        )}
+      </TouchableOpacity>
+
+      {/* Locations of a saved project */}
+      {!isNew && (
+        <>
+          <Text style={styles.title}>Locations</Text>
+          {locations.length === 0 && (
+            <Text style={styles.emptyText}>No locations yet.</Text>
+          )}
+          {locations.map((location) => (
+            <TouchableOpacity
+              key={location.id}
+              style={styles.locationRow}
+              onPress={() =>
+                router.push(
+                  `/locationEditor?projectId=${projectId}&locationId=${location.id}`
+                )
+              }
+            >
+              <View style={styles.locationInfo}>
+                <Text style={styles.locationName}>
+                  {location.location_order != null
+                    ? `${location.location_order}. `
+                    : ""}
+                  {location.location_name}
+                </Text>
+                <Text style={styles.locationDetails}>
+                  {describeTrigger(location)} · {location.score_points ?? 0} points ·{" "}
+                  {participantCounts[location.id] ?? 0} participants
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#555" />
+            </TouchableOpacity>
+          ))}
+          <TouchableOpacity
+            style={styles.button}
+            onPress={() =>
+              router.push(`/locationEditor?projectId=${projectId}&locationId=new`)
+            }
+          >
+            <Text style={styles.buttonText}>Add Location</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.button}
+            onPress={exportQrCodes}
+            disabled={exporting}
+          >
+            {exporting ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>Print QR Codes</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.button, styles.deleteButton]}
+            onPress={confirmDelete}
+          >
+            <Text style={styles.buttonText}>Delete Project</Text>
+          </TouchableOpacity>
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+// Styles for the ProjectEditor component
+const styles = StyleSheet.create({
+  /**
+   * Main container for the editor.
+   * Centers the form with background color and padding.
+   */
+  container: {
+    flexGrow: 1,
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Title text style for the form and the locations section.
+   */
+  title: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 20,
+    textAlign: "center",
+  },
+
+  /**
+   * Label style for each input field.
+   * Aligns with the input width.
+   */
+  label: {
+    width: "80%",
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#555",
+    marginBottom: 6,
+  },
+
+  /**
+   * Input field style.
+   * Adds padding, border, and background color for user interaction.
+   */
+  input: {
+    width: "80%",
+    height: 40,
+    borderColor: "#ccc",
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    marginBottom: 20,
+    backgroundColor: "#fff",
+  },
+
+  /**
+   * Extra style for multi-line inputs.
+   * Gives room for several lines of text.
+   */
+  multilineInput: {
+    height: 80,
+    paddingTop: 8,
+    textAlignVertical: "top",
+  },
+
+  /**
+   * Row holding the published label and switch.
+   */
+  switchRow: {
+    width: "80%",
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: 20,
+  },
+
+  /**
+   * Label style for the published switch.
+   */
+  switchLabel: {
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#555",
+  },
+
+  /**
+   * Button style for saving, adding locations, printing QR codes and deleting.
+   * Sets background color, padding, and alignment.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    marginBottom: 12,
+    width: "80%",
+    alignItems: "center",
+  },
+
+  /**
+   * Extra style for the delete button.
+   * Red to mark the destructive action.
+   */
+  deleteButton: {
+    backgroundColor: "#dc3545",
+  },
+
+  /**
+   * Text style for button labels.
+   * Applies bold weight and white color for contrast on buttons.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  /**
+   * Style for each location row.
+   * Card layout with the name, trigger and points.
+   */
+  locationRow: {
+    width: "80%",
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: "#fff",
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 10,
+    elevation: 2,
+  },
+
+  /**
+   * Container for the location's text, taking the remaining space.
+   */
+  locationInfo: {
+    flex: 1,
+  },
+
+  /**
+   * Style for the location name.
+   */
+  locationName: {
+    fontSize: 16,
+    fontWeight: "bold",
+    color: "#333",
+  },
+
+  /**
+   * Style for the location's trigger, points and participant count.
+   */
+  locationDetails: {
+    fontSize: 12,
+    color: "#777",
+    marginTop: 4,
+  },
+
+  /**
+   * Style for the text shown when the project has no locations.
+   */
+  emptyText: {
+    fontSize: 16,
+    color: "#777",
+    marginBottom: 16,
+  },
+
+  /**
+   * Container style for loading indicator.
+   * Centers content vertically and horizontally on the screen.
+   */
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+});
@@ -1,6 +1,13 @@
 // ProjectHomeScreen.jsx
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useRef,
+  useContext,
+  useMemo,
+} from "react";
 import {
   View,
   Text,
@@ -9,18 +16,67 @@ import {
   Alert,
   FlatList,
   Button,
+  TouchableOpacity,
+  AppState,
 } from "react-native";
 import { useLocalSearchParams, useRouter } from "expo-router";
+import { getProject, getLocations } from "../api/api.js";
+import { ValidationError } from "../api/errors";
+import { getErrorMessage } from "../utils/errorMessages";
+import { UserProfileContext } from "../app/_layout";
 import {
-  getProject,
-  getLocations,
-  updateLocationVisit,
-  createTracking,
-} from "../api/api.js";
-import AsyncStorage from "@react-native-async-storage/async-storage";
+  loadVisitedLocations,
+  loadVisitHistory,
+  clearVisitedLocations,
+  recordVisit,
+} from "../utils/visits";
+import {
+  loadSession,
+  startSession,
+  finishSession,
+  canUnlockInSession,
+  getSessionStatus,
+  getElapsedTime,
+  SESSION_ACTIVE,
+  SESSION_NOT_STARTED,
+  SESSION_EXPIRED,
+  SESSION_FINISHED,
+} from "../utils/sessions";
+import { formatDuration } from "../utils/leaderboard";
+import { syncGeofences, stopGeofencing } from "../utils/geofencing";
+import {
+  requestNotificationPermission,
+  getNearbyDistance,
+  notifyNearbyLocation,
+} from "../utils/notifications";
+import { calculateScore, isProjectComplete } from "../utils/scoring";
+import {
+  parsePositionString,
+  getDistanceTo,
+  getUnlockRadius,
+  isReliableReading,
+  isWithinUnlockRadius,
+  LOCATION_WATCH_OPTIONS,
+} from "../utils/proximity";
+import {
+  isSequenceProject,
+  sortByOrder,
+  getNextInSequence,
+  canUnlockInSequence,
+} from "../utils/sequence";
 import * as Location from "expo-location";
-import { getDistance } from "geolib";
 import BottomNavigation from "../components/BottomNavigation";
+import LocationContentViewer from "../components/LocationContentViewer";
+import SessionTimer from "../components/SessionTimer";
+import { parseScanPayload } from "../utils/scanPayload";
+import { parseDeepLink } from "../utils/deepLink";
+import {
+  canUnlockByGps,
+  canUnlockByQr,
+  describeTrigger,
+  UNLOCK_METHOD_GPS,
+  UNLOCK_METHOD_QR,
+} from "../utils/triggerType";
 
 /**
  * ProjectHomeScreen Component
@@ -28,6 +84,8 @@ import BottomNavigation from "../components/BottomNavigation";
  * This component displays the home screen for a specific project. It fetches project details,
  * locations associated with the project, and manages user interactions such as visiting locations.
  * It also handles location tracking to automatically detect when a user is near a location.
+ * The play session is started and finished from this screen; a timed project shows its
+ * countdown, and locations only unlock while the session is running.
  *
  * @returns {JSX.Element} The rendered ProjectHomeScreen component.
  */
@@ -35,42 +93,51 @@ export default function ProjectHomeScreen() {
   // State variables to manage project data, locations, user interactions, and loading state
   const [project, setProject] = useState(null);
   const [locations, setLocations] = useState([]);
-  const [points, setPoints] = useState(0);
-  const [pointsPossible, setPointsPossible] = useState(0);
   const [loading, setLoading] = useState(true);
-  const [currentLocationContent, setCurrentLocationContent] = useState(null);
+  // Location whose content is shown in the content viewer, or null when closed
+  const [contentLocation, setContentLocation] = useState(null);
 
-  const { projectId } = useLocalSearchParams();
+  const { projectId, scannedData, locationId } = useLocalSearchParams();
   const router = useRouter();
+  // Active participant profile; its username is recorded with each visit
+  const { username, activeProfileId } = useContext(UserProfileContext);
 
   const [visitedLocations, setVisitedLocations] = useState(new Set());
   const visitedLocationsRef = useRef(new Set());
+  // The active profile's visits in order, with their unlock times
+  const [visitHistory, setVisitHistory] = useState([]);
+  // The play session, or null before it is started
+  const [session, setSession] = useState(null);
+  const sessionRef = useRef(null);
   const processingRef = useRef(false);
+  const handledScanRef = useRef(null);
+  // Locations the user has already been warned about reaching out of sequence
+  const outOfOrderWarnedRef = useRef(new Set());
+  // Distance in meters within which nearby hints are sent, from Settings
+  const nearbyDistanceRef = useRef(0);
+  // Whether the last visit completed the project; the summary opens once its content is closed
+  const completionPendingRef = useRef(false);
+  // Latest handleLocationUpdate, so the location watcher sees the current project and profile
+  const handleLocationUpdateRef = useRef(null);
 
   // keep a reference to visitedLocations for use in useEffect
   useEffect(() => {
     visitedLocationsRef.current = visitedLocations;
   }, [visitedLocations]);
 
-  /**
- * Parses a position string into an object containing latitude and longitude as numbers.
- *
- * @function parsePositionString
- * @param {string} positionString - A position string in the format "(latitude, longitude)".
- * @returns {{latitude: number | null, longitude: number | null}} An object with latitude and longitude.
- * Returns null values if the input string is invalid or empty.
- *
- */
-  const parsePositionString = (positionString) => {
-    if (!positionString) return { latitude: null, longitude: null };
-    const coords = positionString.replace(/[()]/g, "").split(",").map(Number);
-    return { latitude: coords[0], longitude: coords[1] };
-  };
+  // keep a reference to the session for use in the location watcher
+  useEffect(() => {
+    sessionRef.current = session;
+  }, [session]);
 
   /**
  * Fetches project and location data from the backend, and updates the state accordingly.
- * Retrieves project details, associated locations, and any previously visited locations.
- * Also calculates the total possible points for all locations in the project.
+ * Retrieves project details, associated locations, and any locations previously visited
+ * by the active profile, with its visit history and play session. Runs again when the user
+ * switches profile.
+ * Registers background geofences for the project's locations that are still locked, while
+ * they can still be unlocked in the session.
+ * Cached data is shown straight away and reloaded once a background refresh changes it.
  *
  * @async
  * @function fetchData
@@ -81,78 +148,120 @@ export default function ProjectHomeScreen() {
   const fetchData = useCallback(async () => {
     try {
       // get project data
-      const projectData = await getProject(projectId);
+      const refresh = { onUpdate: () => fetchDataRef.current() };
+      const projectData = await getProject(projectId, refresh);
       if (!projectData || projectData.length === 0) {
         Alert.alert("Error", "Project not found.");
         setProject(null);
         return;
       }
-      setProject(projectData[0]);
 
       // Get location data and parse coordinates
-      const allLocations = await getLocations(projectId);
+      const allLocations = await getLocations(projectId, refresh);
       console.log("Fetched locations:", allLocations);
 
-      // Parse and set location coordinates
+      // Parse location coordinates, in their configured order for sequence projects
       const locationsWithCoords = allLocations.map((loc) => ({
         ...loc,
         ...parsePositionString(loc.location_position),
       }));
-      setLocations(locationsWithCoords);
+      const orderedLocations = isSequenceProject(projectData[0])
+        ? sortByOrder(locationsWithCoords)
+        : locationsWithCoords;
 
-      // Get visited locations from AsyncStorage
-      const visitedLocationsData = await AsyncStorage.getItem(
-        `visitedLocations_${projectId}`
-      );
-      const visitedArray = visitedLocationsData
-        ? JSON.parse(visitedLocationsData)
-        : [];
-      const visitedSet = new Set(visitedArray);
-      setVisitedLocations(visitedSet);
+      // Get visited locations, visit history and session from AsyncStorage
+      const visitedSet = await loadVisitedLocations(projectId, activeProfileId);
+      const history = await loadVisitHistory(projectId, activeProfileId);
+      const savedSession = await loadSession(projectId, activeProfileId);
 
-      // Calculate total possible points
-      const totalPossiblePoints = allLocations.reduce(
-        (sum, loc) => sum + (Number(loc.score_points) || 0),
-        0
-      );
-      setPointsPossible(totalPossiblePoints);
+      // Update the project, its locations and visits together, so they always match
+      setProject(projectData[0]);
+      setLocations(orderedLocations);
+      setVisitedLocations(visitedSet);
+      setVisitHistory(history);
+      setSession(savedSession);
+      sessionRef.current = savedSession;
+      outOfOrderWarnedRef.current = new Set();
+
+      // Keep unlocking the remaining locations while the app is closed
+      if (canUnlockInSession(projectData[0], savedSession)) {
+        syncGeofences(projectData[0], orderedLocations, visitedSet, username).catch(
+          (error) => console.error("Geofence Sync Error:", error)
+        );
+      }
     } catch (error) {
       console.error("Fetch Data Error:", error);
-      Alert.alert("Error", "Unable to load project or location data.");
+      Alert.alert(
+        "Error",
+        getErrorMessage(error, {
+          network:
+            "Unable to load this project while offline. Download it from the project list to use it without a connection.",
+          notFound: "Project not found.",
+          default: "Unable to load project or location data.",
+        })
+      );
     } finally {
       setLoading(false);
     }
-  }, [projectId]);
+  }, [projectId, activeProfileId, username]);
+
+  // Latest fetchData, so background refreshes reload the project currently shown
+  const fetchDataRef = useRef(fetchData);
+  fetchDataRef.current = fetchData;
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
+  // Pick up locations unlocked by the background geofences when the app returns to the foreground
+  useEffect(() => {
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state !== "active") return;
+      Promise.all([
+        loadVisitedLocations(projectId, activeProfileId),
+        loadVisitHistory(projectId, activeProfileId),
+        loadSession(projectId, activeProfileId),
+      ])
+        .then(([visited, history, savedSession]) => {
+          setVisitedLocations(visited);
+          visitedLocationsRef.current = visited;
+          setVisitHistory(history);
+          setSession(savedSession);
+          sessionRef.current = savedSession;
+        })
+        .catch((error) =>
+          console.error("Error loading visited locations:", error)
+        );
+    });
+    return () => subscription.remove();
+  }, [projectId, activeProfileId]);
+
+  // Score for the visited locations, from the shared scoring engine
+  const score = useMemo(
+    () => calculateScore(project, locations, visitedLocations),
+    [project, locations, visitedLocations]
+  );
+
   /**
- * Calculates and updates the user's total points based on visited locations.
- * Loops through each location, checking if it's in the visitedLocations set. 
- * Accumulates score points from all visited locations and sets the points state.
+ * Returns the scoring engine's result for one location, as if it were unlocked
+ * in addition to the given visited locations.
  *
- * @function calculatePoints
- * @returns {void} No return value, directly updates the points state.
+ * @function getLocationScore
+ * @param {Object} location - The location to score.
+ * @param {Set<number>} visited - IDs of the locations already visited.
+ * @returns {{earned: number, possible: number}} Points the location earns and can earn.
  *
  */
-  useEffect(() => {
-    const calculatePoints = () => {
-      const total = locations.reduce((sum, loc) => {
-        if (visitedLocations.has(loc.id)) {
-          return sum + (Number(loc.score_points) || 0);
-        }
-        return sum;
-      }, 0);
-      setPoints(total);
-    };
-    calculatePoints();
-  }, [visitedLocations, locations]);
+  const getLocationScore = (location, visited) =>
+    calculateScore(project, locations, [...visited, location.id]).breakdown.find(
+      (item) => item.locationId === location.id
+    ) || { earned: 0, possible: 0 };
 
   /**
  * Requests foreground location permissions and, if granted, starts tracking the user's location.
  * Monitors location changes to check proximity to predefined locations.
+ * Also asks for notification permission and, the first time, for background location
+ * permission, so locations can be unlocked by geofences and announced while the app is closed.
  *
  * @async
  * @function startLocationTracking
@@ -171,11 +280,23 @@ export default function ProjectHomeScreen() {
           return;
         }
 
+        await requestNotificationPermission();
+        nearbyDistanceRef.current = await getNearbyDistance();
+
         // start listening location updates
         subscription = await Location.watchPositionAsync(
-          { accuracy: Location.Accuracy.Highest, distanceInterval: 50 },
-          (location) => handleLocationUpdate(location)
+          LOCATION_WATCH_OPTIONS,
+          (location) => handleLocationUpdateRef.current?.(location)
         );
+
+        const background = await Location.getBackgroundPermissionsAsync();
+        if (background.status === "undetermined") {
+          const request = await Location.requestBackgroundPermissionsAsync();
+          // Reload, which registers the geofences if the session lets locations be unlocked
+          if (request.status === "granted") {
+            await fetchDataRef.current();
+          }
+        }
       } catch (error) {
         console.error("Location Tracking Error:", error);
         Alert.alert("Error", "Unable to start location tracking.");
@@ -193,8 +314,12 @@ export default function ProjectHomeScreen() {
 
   /**
  * Checks the user's current location against all project locations to detect proximity.
- * For each location that hasn't been visited, calculates the distance to the current location.
- * If the user is within the specified proximity radius, triggers a location visit event.
+ * For each unvisited location that can be unlocked by location entry, calculates the distance
+ * to the current location. QR-code-only locations are skipped, as are readings too inaccurate to use.
+ * If the user is within the location's unlock radius (set per location or per project),
+ * triggers a location visit event.
+ * In a sequence project, reaching a location out of order shows a message once instead.
+ * Within the nearby hint distance of a location that can be unlocked next, sends a nearby hint.
  *
  * @async
  * @function handleLocationUpdate
@@ -207,40 +332,67 @@ export default function ProjectHomeScreen() {
  * // Checks proximity of this location to predefined project locations.
  */
   const handleLocationUpdate = async (location) => {
-    if (processingRef.current) return;
-    const { latitude, longitude } = location.coords;
+    if (processingRef.current || !isReliableReading(location.coords)) return;
+    if (!canUnlockInSession(project, sessionRef.current)) return;
 
     for (const loc of locations) {
       if (
         visitedLocationsRef.current.has(loc.id) ||
+        !canUnlockByGps(loc) ||
         loc.latitude == null ||
         loc.longitude == null
       )
         continue;
 
-      const distance = getDistance(
-        { latitude, longitude },
-        { latitude: loc.latitude, longitude: loc.longitude }
-      );
-      const PROXIMITY_RADIUS = 50;
-
       console.log(
-        `Checking distance to ${loc.location_name}: ${distance} meters`
+        `Checking distance to ${loc.location_name}: ${getDistanceTo(
+          location.coords,
+          loc
+        )} of ${getUnlockRadius(loc, project)} meters`
       );
 
-      if (distance <= PROXIMITY_RADIUS) {
+      if (isWithinUnlockRadius(location.coords, loc, project)) {
+        if (
+          !canUnlockInSequence(
+            project,
+            locations,
+            visitedLocationsRef.current,
+            loc
+          )
+        ) {
+          if (!outOfOrderWarnedRef.current.has(loc.id)) {
+            outOfOrderWarnedRef.current.add(loc.id);
+            alertOutOfOrder(loc);
+          }
+          continue;
+        }
+
         processingRef.current = true;
-        await handleLocationVisit(loc);
+        await handleLocationVisit(loc, UNLOCK_METHOD_GPS);
         processingRef.current = false;
         break;
       }
+
+      if (
+        nearbyDistanceRef.current > 0 &&
+        getDistanceTo(location.coords, loc) <= nearbyDistanceRef.current &&
+        canUnlockInSequence(project, locations, visitedLocationsRef.current, loc)
+      ) {
+        notifyNearbyLocation(project, loc, nearbyDistanceRef.current).catch(
+          (error) => console.error("Notification Error:", error)
+        );
+      }
     }
   };
 
   /**
- * Marks a location as visited, updating the state, AsyncStorage, and backend.
- * Checks if the location has already been visited to prevent duplicate entries.
- * Updates visited locations, notifies the backend, and stores the visit in AsyncStorage.
+ * Marks a location as visited through the shared visit pipeline, which skips locations already
+ * visited, validates the tracking record, stores the visit in AsyncStorage and queues the tracking
+ * record for the backend. The tracking record is kept in a persistent outbox until the backend
+ * accepts it; the pipeline announces the unlock with a notification instead of blocking the
+ * screen with an alert. Then updates the visited locations and background geofences, and opens
+ * the location's content in the content viewer. A visit that completes the project opens the
+ * completion summary once the content is closed.
  *
  * @async
  * @function handleLocationVisit
@@ -248,68 +400,241 @@ export default function ProjectHomeScreen() {
  * @param {number} location.id - The unique ID of the location.
  * @param {string} location.location_name - The name of the location.
  * @param {string} [location.location_content] - Optional content associated with the location.
+ * @param {string} unlockMethod - How the location was unlocked (UNLOCK_METHOD_GPS or UNLOCK_METHOD_QR).
  * @returns {Promise<void>} No return value, directly updates state and backend.
  * @throws Will alert and log errors if backend update or storage fails.
  *
  * // Marks "Golden Gate Park" as visited and updates backend and storage.
  */
-  const handleLocationVisit = async (location) => {
+  const handleLocationVisit = async (location, unlockMethod) => {
     console.log("Handling location visit:", location);
     try {
-      if (visitedLocationsRef.current.has(location.id)) {
-        console.log(
-          `Location ${location.location_name} has already been visited. Skipping.`
+      const { recorded, completed, visited } = await recordVisit({
+        project,
+        locations,
+        location,
+        unlockMethod,
+        participantUsername: username,
+      });
+
+      // Update visited locations, and the session the visit may have started or finished
+      setVisitedLocations(visited);
+      visitedLocationsRef.current = visited;
+      const savedSession = await loadSession(projectId);
+      setSession(savedSession);
+      sessionRef.current = savedSession;
+      if (!recorded) return;
+      setVisitHistory(await loadVisitHistory(projectId));
+
+      syncGeofences(project, locations, visited, username).catch((error) =>
+        console.error("Geofence Sync Error:", error)
+      );
+
+      completionPendingRef.current = completed;
+      setContentLocation(location);
+    } catch (error) {
+      console.error("Handle Location Visit Error:", error);
+      // if request error, show alert
+      if (
+        error instanceof ValidationError &&
+        error.fields.includes("participant_username")
+      ) {
+        Alert.alert(
+          "Profile Required",
+          "Please create a profile before unlocking locations."
+        );
+      } else {
+        Alert.alert(
+          "Error",
+          getErrorMessage(error, {
+            validation: "Request Error: Unable to unlock the place.",
+            default: "Unable to process location access. Please try again later.",
+          })
         );
-        return;
       }
+    }
+  };
 
-      // Update visited locations
-      const updatedVisitedSet = new Set(visitedLocationsRef.current);
-      updatedVisitedSet.add(location.id);
-      setVisitedLocations(updatedVisitedSet);
-      visitedLocationsRef.current = updatedVisitedSet;
-
-      // update AsyncStorage with visited locations
-      const updatedVisitedArray = Array.from(updatedVisitedSet);
-      await AsyncStorage.setItem(
-        `visitedLocations_${projectId}`,
-        JSON.stringify(updatedVisitedArray)
+  /**
+ * Tells the user that a location in a sequence project was reached out of order.
+ *
+ * @function alertOutOfOrder
+ * @param {Object} location - The location reached out of order.
+ * @returns {void}
+ *
+ */
+  const alertOutOfOrder = (location) => {
+    Alert.alert(
+      "Out of Order",
+      `${location.location_name} is not the next stop in this trail. Follow the current clue to find the next location first.`
+    );
+  };
+
+  /**
+ * Tells the user why locations cannot be unlocked in the current session: a timed project
+ * has not been started, or the session has finished or run out of time.
+ *
+ * @function alertSessionClosed
+ * @returns {void}
+ *
+ */
+  const alertSessionClosed = () => {
+    const status = getSessionStatus(project, sessionRef.current);
+    if (status === SESSION_EXPIRED) {
+      Alert.alert("Time's Up", "Time has run out, so your score is final.");
+    } else if (status === SESSION_FINISHED) {
+      Alert.alert(
+        "Session Finished",
+        "You have finished this project. Reset your access history to play again."
       );
-      console.log("AsyncStorage updated with visited locations.");
+    } else {
+      Alert.alert(
+        "Start Required",
+        "This project is timed. Tap Start to begin before unlocking locations."
+      );
+    }
+  };
 
-      // update location visit on backend
-      await updateLocationVisit(location.id);
-      console.log(
-        `Location ${location.location_name} marked as visited on backend.`
+  // Hand the location watcher the handler of the latest render
+  useEffect(() => {
+    handleLocationUpdateRef.current = handleLocationUpdate;
+  });
+
+  /**
+ * Handles data scanned from a QR code by the QRScanner screen.
+ * Decodes the payload, checks it against this project's locations, and unlocks the
+ * matching location through handleLocationVisit, the same path used by the GPS tracking.
+ * Shows an alert when the code is unknown, belongs to another project, was already unlocked,
+ * names a location that can only be unlocked by location entry, is out of sequence, or
+ * the session is not running.
+ * A StoryPath link to a project opens that project.
+ *
+ * @async
+ * @function handleScannedData
+ * @param {string} data - The raw data contained in the scanned QR code.
+ * @returns {Promise<void>} No return value, unlocks the location or alerts the user.
+ *
+ */
+  const handleScannedData = async (data) => {
+    const payload = parseScanPayload(data);
+    const projectLink = parseDeepLink(data);
+    if (!payload && projectLink) {
+      router.push(`/project/${projectLink.projectId}`);
+      return;
+    }
+    if (!payload) {
+      Alert.alert(
+        "Unknown QR Code",
+        "This QR code is not a StoryPath location code."
+      );
+      return;
+    }
+
+    if (
+      payload.projectId !== null &&
+      String(payload.projectId) !== String(projectId)
+    ) {
+      Alert.alert(
+        "Wrong Project",
+        "This QR code belongs to another project. Open that project to unlock it."
       );
+      return;
+    }
 
-      // create tracking record
-      await createTracking(location.id);
-      console.log(`Tracking created for location ${location.location_name}.`);
+    const location = locations.find((loc) => loc.id === payload.locationId);
+    if (!location) {
+      Alert.alert(
+        "Unknown Location",
+        "This QR code does not match any location in this project."
+      );
+      return;
+    }
 
-      setCurrentLocationContent(location.location_content);
+    if (visitedLocationsRef.current.has(location.id)) {
+      Alert.alert(
+        "Already Unlocked",
+        `You have already unlocked ${location.location_name}.`
+      );
+      return;
+    }
 
+    if (!canUnlockByQr(location)) {
       Alert.alert(
-        "Location Unlock",
-        `You have unlocked ${location.location_name}!`
+        "Visit Required",
+        `${location.location_name} can only be unlocked by visiting it in person.`
       );
-    } catch (error) {
-      console.error("Handle Location Visit Error:", error);
-      // if request error, show alert
-      if (error.response && error.response.status === 400) {
-        Alert.alert("Error", "Request Error: Unable to unlock the place.");
-      } else {
-        Alert.alert(
-          "Error",
-          "Unable to process location access. Please try again later."
-        );
-      }
+      return;
     }
+
+    if (
+      !canUnlockInSequence(
+        project,
+        locations,
+        visitedLocationsRef.current,
+        location
+      )
+    ) {
+      alertOutOfOrder(location);
+      return;
+    }
+
+    if (!canUnlockInSession(project, sessionRef.current)) {
+      alertSessionClosed();
+      return;
+    }
+
+    processingRef.current = true;
+    await handleLocationVisit(location, UNLOCK_METHOD_QR);
+    processingRef.current = false;
   };
 
+  // Process scanned QR data once the project and its locations have loaded
+  useEffect(() => {
+    if (!scannedData) {
+      handledScanRef.current = null;
+      return;
+    }
+    if (
+      loading ||
+      !project ||
+      String(project.id) !== String(projectId) ||
+      handledScanRef.current === scannedData
+    )
+      return;
+
+    handledScanRef.current = scannedData;
+    handleScannedData(scannedData);
+    // Clear the parameter so the same code can be scanned again later
+    router.setParams({ scannedData: "" });
+  }, [loading, scannedData, project, locations]);
+
+  // Open the content of an unlocked location when arriving from its notification or link
+  useEffect(() => {
+    if (
+      !locationId ||
+      loading ||
+      !project ||
+      String(project.id) !== String(projectId)
+    )
+      return;
+    const location = locations.find(
+      (loc) => String(loc.id) === String(locationId)
+    );
+    if (location && visitedLocations.has(location.id)) {
+      setContentLocation(location);
+    } else if (location) {
+      Alert.alert(
+        "Location Locked",
+        "Unlock this location to view its content."
+      );
+    }
+    router.setParams({ locationId: "" });
+  }, [loading, locationId, project, locations, visitedLocations]);
+
   /**
  * Resets the user's visited locations history by clearing AsyncStorage and updating state.
- * Clears the local visitedLocations set, updates AsyncStorage, and refetches data.
+ * Clears the local visitedLocations set, visit history and session, updates AsyncStorage, removes
+ * the background geofences, and refetches data, which registers geofences for the fresh start.
  *
  * @async
  * @function resetVisitedLocations
@@ -319,9 +644,13 @@ export default function ProjectHomeScreen() {
  */
   const resetVisitedLocations = async () => {
     try {
-      await AsyncStorage.removeItem(`visitedLocations_${projectId}`);
+      await clearVisitedLocations(projectId);
+      await stopGeofencing();
       setVisitedLocations(new Set());
       visitedLocationsRef.current = new Set();
+      setVisitHistory([]);
+      setSession(null);
+      sessionRef.current = null;
       Alert.alert(
         "Reset Successfully",
         "Your access history has been cleared, you can start over!"
@@ -333,22 +662,132 @@ export default function ProjectHomeScreen() {
     }
   };
 
+  /**
+ * Starts the play session now, and registers background geofences for it.
+ *
+ * @async
+ * @function handleStart
+ * @returns {Promise<void>}
+ *
+ */
+  const handleStart = async () => {
+    try {
+      const started = await startSession(projectId);
+      setSession(started);
+      sessionRef.current = started;
+      syncGeofences(project, locations, visitedLocationsRef.current, username).catch(
+        (error) => console.error("Geofence Sync Error:", error)
+      );
+    } catch (error) {
+      console.error("Start Session Error:", error);
+      Alert.alert("Error", "Unable to start the project.");
+    }
+  };
+
+  /**
+ * Finishes the play session, freezing the score, and removes the background geofences.
+ * Shows the final time and score.
+ *
+ * @async
+ * @function endSession
+ * @returns {Promise<void>}
+ *
+ */
+  const endSession = async () => {
+    try {
+      const finished = await finishSession(project);
+      await stopGeofencing();
+      setSession(finished);
+      sessionRef.current = finished;
+      const expired = getSessionStatus(project, finished) === SESSION_EXPIRED;
+      Alert.alert(
+        expired ? "Time's Up" : "Session Finished",
+        `You played for ${formatDuration(
+          getElapsedTime(project, finished)
+        )} and scored ${score.earned} / ${score.possible} points.`
+      );
+    } catch (error) {
+      console.error("Finish Session Error:", error);
+      Alert.alert("Error", "Unable to finish the project.");
+    }
+  };
+
+  /**
+ * Asks for confirmation, then finishes the play session.
+ *
+ * @function handleFinish
+ * @returns {void}
+ *
+ */
+  const handleFinish = () => {
+    Alert.alert(
+      "Finish Project",
+      "Finish now? Your score will be final and no more locations will unlock.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Finish", style: "destructive", onPress: endSession },
+      ]
+    );
+  };
+
+  /**
+   * Opens the completion summary for this project.
+   *
+   * @function openCompletion
+   * @returns {void}
+   */
+  const openCompletion = () => {
+    router.push(`/completion?projectId=${projectId}`);
+  };
+
+  /**
+   * Closes the content viewer, then opens the completion summary if the location just
+   * unlocked completed the project.
+   *
+   * @function closeContent
+   * @returns {void}
+   */
+  const closeContent = () => {
+    setContentLocation(null);
+    if (completionPendingRef.current) {
+      completionPendingRef.current = false;
+      openCompletion();
+    }
+  };
+
+  // In a sequence project, the location to unlock next (null otherwise)
+  const isSequence = isSequenceProject(project);
+  const nextLocation = getNextInSequence(project, locations, visitedLocations);
+  // Locations the participant may see: in a sequence, only those visited and the next one
+  const shownLocations = isSequence
+    ? locations.filter(
+        (loc) => visitedLocations.has(loc.id) || loc.id === nextLocation?.id
+      )
+    : locations;
+
   /**
    * Render each place item
+   * In a sequence project, the next location is shown by its clue only, without its name.
    * @param {Object} param0 - Object containing the place data
    * @returns {JSX.Element} rendered place card
    */
   const renderLocationItem = ({ item }) => {
     const isVisited = visitedLocations.has(item.id);
+    const isNext = isSequence && nextLocation?.id === item.id;
+    const visit = visitHistory.find(
+      (entry) => String(entry.locationId) === String(item.id)
+    );
     return (
       <View
         style={[styles.locationCard, isVisited && styles.visitedLocationCard]}
       >
         <View style={styles.locationHeader}>
-          <Text style={styles.locationName}>{item.location_name}</Text>
+          <Text style={styles.locationName}>
+            {isNext ? "Next location" : item.location_name}
+          </Text>
           {isVisited && <Text style={styles.checkmark}>Visited</Text>}
         </View>
-        {item.clue && (
+        {item.clue && (!isSequence || isNext) && (
           <View style={styles.clueContainer}>
             {/* Clue */}
             <Text style={styles.boldText}>Clue: </Text>
@@ -358,8 +797,33 @@ export default function ProjectHomeScreen() {
         <View style={styles.locationStats}>
           {/* Score */}
           <Text style={styles.boldText}>Score: </Text>
-          <Text>{item.score_points || 0}</Text>
+          <Text>{getLocationScore(item, visitedLocations).possible}</Text>
         </View>
+        <View style={styles.locationStats}>
+          {/* Unlock method */}
+          <Text style={styles.boldText}>Unlock: </Text>
+          <Text>{describeTrigger(item)}</Text>
+        </View>
+        {isVisited && visit && (
+          <View style={styles.locationStats}>
+            {/* Unlock time, and time since the session started */}
+            <Text style={styles.boldText}>Unlocked: </Text>
+            <Text>
+              {new Date(visit.visitedAt).toLocaleTimeString()}
+              {session && Date.parse(visit.visitedAt) >= Date.parse(session.startedAt)
+                ? ` (+${formatDuration(
+                    Date.parse(visit.visitedAt) - Date.parse(session.startedAt)
+                  )})`
+                : ""}
+            </Text>
+          </View>
+        )}
+        {isVisited && (
+          /* Reopen unlocked content */
+          <TouchableOpacity onPress={() => setContentLocation(item)}>
+            <Text style={styles.viewContent}>View content</Text>
+          </TouchableOpacity>
+        )}
       </View>
     );
   };
@@ -384,9 +848,13 @@ export default function ProjectHomeScreen() {
   }
 
   const activeScreen = "projectHomeScreen";
+  const isComplete = isProjectComplete(project, locations, visitedLocations);
+  const sessionStatus = getSessionStatus(project, session);
 
   return (
     <View style={styles.container}>
+      {/* Session countdown or elapsed time */}
+      <SessionTimer project={project} session={session} onExpire={endSession} />
       <FlatList
         ListHeaderComponent={
           <>
@@ -408,11 +876,22 @@ export default function ProjectHomeScreen() {
                       <Text>{project.initial_clue}</Text>
                     </View>
                   )}
+                {/* Current clue for sequence projects */}
+                {isSequence && (
+                  <View style={styles.formGroup}>
+                    <Text style={styles.sectionTitle}>Current clue</Text>
+                    <Text>
+                      {nextLocation
+                        ? nextLocation.clue || "No clue for this location."
+                        : "You have found every location in this trail!"}
+                    </Text>
+                  </View>
+                )}
                 {project.homescreen_display === "Display all locations" && (
                   <View style={styles.formGroup}>
                     {/* All locations */}
                     <Text style={styles.sectionTitle}>All locations</Text>
-                    {locations.map((location) => (
+                    {shownLocations.map((location) => (
                       <Text key={location.id}>{location.location_name}</Text>
                     ))}
                   </View>
@@ -424,7 +903,7 @@ export default function ProjectHomeScreen() {
                 <View style={styles.statBox}>
                   <Text style={styles.statTitle}>Points</Text>
                   <Text style={styles.statValue}>
-                    {points} / {pointsPossible}
+                    {score.earned} / {score.possible}
                   </Text>
                 </View>
                 <View style={styles.statBox}>
@@ -434,22 +913,48 @@ export default function ProjectHomeScreen() {
                   </Text>
                 </View>
               </View>
+              {/* Start and finish the play session */}
+              {sessionStatus === SESSION_NOT_STARTED && (
+                <View style={styles.sessionButton}>
+                  <Button title="Start" color="#ff6f61" onPress={handleStart} />
+                </View>
+              )}
+              {sessionStatus === SESSION_ACTIVE && (
+                <View style={styles.sessionButton}>
+                  <Button title="Finish" color="#ff6f61" onPress={handleFinish} />
+                </View>
+              )}
               {/* Reset access history button */}
               <Button
                 title="Reset access history"
                 color="#ff6f61"
                 onPress={resetVisitedLocations}
               />
+              {/* Completion summary, once every location or point is found */}
+              {isComplete && (
+                <View style={styles.summaryButton}>
+                  <Button
+                    title="View completion summary"
+                    color="#ff6f61"
+                    onPress={openCompletion}
+                  />
+                </View>
+              )}
             </View>
             {/* Location List Title */}
             <Text style={styles.locationListTitle}>Location list</Text>
           </>
         }
-        data={locations}
+        data={shownLocations}
         renderItem={renderLocationItem}
         keyExtractor={(item) => item.id.toString()}
         contentContainerStyle={styles.locationsList}
       />
+      {/* Unlocked location content */}
+      <LocationContentViewer
+        location={contentLocation}
+        onClose={closeContent}
+      />
       {/* Bottom Navigation */}
       <BottomNavigation projectId={projectId} activeScreen={activeScreen} />
     </View>
@@ -458,43 +963,6 @@ export default function ProjectHomeScreen() {
 
 // style sheet for ProjectHomeScreen component
 const styles = StyleSheet.create({
-  /**
-   * WebView Container
-   * Styles the overlay for displaying WebView content, centered with padding.
-   */
-  webViewContainer: {
-    position: "absolute",
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-    backgroundColor: "#fff",
-    padding: 20,
-    zIndex: 10,
-    justifyContent: "center",
-    alignItems: "center",
-  },
-
-  /**
-   * Location Content Title
-   * Styles the title text for location content displayed in the overlay.
-   */
-  locationContentTitle: {
-    fontSize: 22,
-    fontWeight: "bold",
-    marginBottom: 10,
-    textAlign: "center",
-  },
-
-  /**
-   * WebView Component
-   * Defines the dimensions for the WebView component.
-   */
-  webView: {
-    flex: 1,
-    height: 300,
-  },
-
   /**
    * Visited Count Text (Unused)
    * Text styling for displaying the number of unlocked locations.
@@ -758,10 +1226,10 @@ const styles = StyleSheet.create({
   },
 
   /**
-   * Close Content Button
-   * Styling for the close button text in the location content overlay.
+   * View Content Link
+   * Styling for the link that reopens a visited location's content.
    */
-  closeContent: {
+  viewContent: {
     color: "#ff6f61",
     marginTop: 10,
     textAlign: "right",
@@ -802,4 +1270,20 @@ const styles = StyleSheet.create({
   formGroup: {
     marginTop: 10,
   },
+
+  /**
+   * Session Button
+   * Spacing below the start and finish buttons.
+   */
+  sessionButton: {
+    marginBottom: 10,
+  },
+
+  /**
+   * Summary Button
+   * Spacing above the completion summary button.
+   */
+  summaryButton: {
+    marginTop: 10,
+  },
 });
\ No newline at end of file
@@ -1,16 +1,20 @@
 // components/QRScanner.jsx
 
-import React, { useState } from "react";
-import { StyleSheet, Text, View, Button, Alert, Linking } from "react-native";
+import React, { useState, useCallback } from "react";
+import { StyleSheet, Text, View, Button, Linking } from "react-native";
 import { CameraView, useCameraPermissions } from "expo-camera";
-import { useRouter, useLocalSearchParams } from "expo-router";
+import { useRouter, useLocalSearchParams, useFocusEffect } from "expo-router";
 import BottomNavigation from "../components/BottomNavigation";
+import SessionTimer from "../components/SessionTimer";
+import { getProject } from "../api/api.js";
+import { loadSession } from "../utils/sessions";
 
 /**
  * QRScanner Component
  *
  * Renders a QR code scanner interface, handling camera permissions and scanning events.
  * After a QR code is scanned, navigates to the project home screen with the scanned data.
+ * The play session's countdown or elapsed time is shown above the camera.
  *
  * @returns {JSX.Element} The rendered QRScanner component.
  */
@@ -29,6 +33,30 @@ export default function QRScanner() {
   // Extract projectId from URL parameters using a custom hook
   const { projectId } = useLocalSearchParams();
 
+  // The project and its play session, for the session timer
+  const [project, setProject] = useState(null);
+  const [session, setSession] = useState(null);
+
+  /**
+   * useFocusEffect hook to load the project and its session whenever the screen comes into focus.
+   * The timer is left out if they cannot be loaded; scanning still works.
+   */
+  useFocusEffect(
+    useCallback(() => {
+      let isActive = true;
+      Promise.all([getProject(projectId), loadSession(projectId)])
+        .then(([projectData, savedSession]) => {
+          if (!isActive) return;
+          setProject(projectData?.[0] ?? null);
+          setSession(savedSession);
+        })
+        .catch((error) => console.error("Error loading session:", error));
+      return () => {
+        isActive = false;
+      };
+    }, [projectId])
+  );
+
   // Display a message requesting camera permissions if permissions are not handled yet
   if (!permission) {
     return (
@@ -55,7 +83,7 @@ export default function QRScanner() {
 
   /**
    * Event handler triggered when a QR code is successfully scanned.
-   * Sets the scanned data, displays an alert, and navigates based on the QR content.
+   * Sets the scanned data and navigates to the project home screen with the QR content.
    *
    * @param {Object} param0 - Object containing details of the scanned barcode.
    * @param {string} param0.type - The type of the scanned barcode, e.g., QR code.
@@ -67,18 +95,11 @@ export default function QRScanner() {
     // Store the scanned data in state
     setScannedData(data);
 
-    // Display an alert with options to navigate or rescan
-    Alert.alert("QR Code Scanned", `Data: ${data}`, [
-      {
-        text: "OK",
-        onPress: () => {
-          // Navigate to project home screen with scanned data as a query parameter
-          router.push(
-            `/projectHomeScreen?projectId=${projectId}&scannedData=${data}`
-          );
-        },
-      },
-    ]);
+    // Navigate to project home screen with scanned data as a query parameter,
+    // where the code is checked and its location unlocked
+    router.push(
+      `/projectHomeScreen?projectId=${projectId}&scannedData=${encodeURIComponent(data)}`
+    );
   };
 
   // Define the active screen name for bottom navigation
@@ -86,6 +107,8 @@ export default function QRScanner() {
 
   return (
     <View style={styles.container}>
+      {/* Session countdown or elapsed time */}
+      {project && <SessionTimer project={project} session={session} />}
       {/* Camera component with QR code scanning enabled */}
       <CameraView
         style={styles.camera}
@@ -0,0 +1,132 @@
+// components/SessionTimer.jsx
+
+import React, { useState, useEffect, useRef } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import {
+  getElapsedTime,
+  getRemainingTime,
+  getSessionStatus,
+  getTimeLimit,
+  SESSION_ACTIVE,
+  SESSION_EXPIRED,
+  SESSION_FINISHED,
+} from "../utils/sessions";
+
+// Remaining time below which the countdown is highlighted
+const WARNING_TIME = 60 * 1000;
+
+/**
+ * Formats a time as a clock, e.g. "4:05" or "1:02:03".
+ *
+ * @param {number} milliseconds - The time to format.
+ * @returns {string} The formatted time.
+ */
+function formatClock(milliseconds) {
+  const seconds = Math.ceil(milliseconds / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, "0");
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+/**
+ * SessionTimer Component
+ *
+ * Banner showing the state of the participant's play session in a project: the countdown
+ * for timed projects or the elapsed time otherwise, and the final time once the session is
+ * finished or its time has run out. Timed projects that have not been started show their
+ * time limit. Nothing is shown for untimed projects that have not been started.
+ *
+ * @param {Object} props - Component properties.
+ * @param {Object} props.project - The project record.
+ * @param {Object|null} props.session - The play session (see loadSession).
+ * @param {Function} [props.onExpire] - Called once when the time limit runs out while shown.
+ * @returns {JSX.Element|null} The rendered SessionTimer component.
+ */
+export default function SessionTimer({ project, session, onExpire }) {
+  // The current time, updated every second while the session is active. Times are
+  // clamped to the session, so a reading from before it started shows no time played.
+  const [now, setNow] = useState(() => Date.now());
+  const status = getSessionStatus(project, session, now);
+  // Latest onExpire, so the timer does not restart when the callback changes
+  const onExpireRef = useRef(onExpire);
+
+  useEffect(() => {
+    onExpireRef.current = onExpire;
+  }, [onExpire]);
+
+  useEffect(() => {
+    if (getSessionStatus(project, session) !== SESSION_ACTIVE) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [project, session]);
+
+  // Tell the screen when the countdown reaches zero
+  useEffect(() => {
+    if (status === SESSION_EXPIRED && session && !session.finishedAt) {
+      onExpireRef.current?.();
+    }
+  }, [status, session]);
+
+  const timeLimit = getTimeLimit(project);
+  if (!session && timeLimit === null) return null;
+
+  const remaining = getRemainingTime(project, session, now);
+  let text;
+  if (!session) {
+    text = `Time limit: ${formatClock(timeLimit)}`;
+  } else if (status === SESSION_EXPIRED) {
+    text = `Time's up! You played for ${formatClock(getElapsedTime(project, session, now))}`;
+  } else if (status === SESSION_FINISHED) {
+    text = `Finished in ${formatClock(getElapsedTime(project, session, now))}`;
+  } else if (remaining !== null) {
+    text = `Time left: ${formatClock(remaining)}`;
+  } else {
+    text = `Time: ${formatClock(getElapsedTime(project, session, now))}`;
+  }
+
+  return (
+    <View
+      style={[
+        styles.banner,
+        (status === SESSION_EXPIRED ||
+          (status === SESSION_ACTIVE && remaining !== null && remaining <= WARNING_TIME)) &&
+          styles.warningBanner,
+      ]}
+    >
+      <Text style={styles.bannerText}>{text}</Text>
+    </View>
+  );
+}
+
+// Styles for the SessionTimer component
+const styles = StyleSheet.create({
+  /**
+   * Banner style.
+   * A compact accent-colored bar above the screen content.
+   */
+  banner: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    alignItems: "center",
+  },
+
+  /**
+   * Extra banner style when time is nearly up or has run out.
+   */
+  warningBanner: {
+    backgroundColor: "#c0392b",
+  },
+
+  /**
+   * Text style for the banner.
+   */
+  bannerText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+});
@@ -0,0 +1,274 @@
+// components/Settings.jsx
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+} from "react-native";
+import {
+  DEFAULT_API_CONFIG,
+  getApiConfig,
+  saveApiConfig,
+  resetApiConfig,
+} from "../api/config";
+import {
+  DEFAULT_NEARBY_DISTANCE,
+  getNearbyDistance,
+  saveNearbyDistance,
+} from "../utils/notifications";
+
+/**
+ * Settings Component
+ *
+ * Lets users point the app at a different StoryPath backend without a code change.
+ * The API base URL, JWT token and username are saved in secure storage and
+ * override the values supplied by the Expo config or environment.
+ * Also sets the distance within which "you are near a location" notifications are sent.
+ *
+ * @returns {JSX.Element} The rendered Settings component.
+ */
+export default function Settings() {
+  // Local state for the form fields
+  const [apiBaseUrl, setApiBaseUrl] = useState("");
+  const [jwtToken, setJwtToken] = useState("");
+  const [username, setUsername] = useState("");
+  const [nearbyDistance, setNearbyDistance] = useState("");
+  const [loading, setLoading] = useState(true);
+
+  /**
+   * Fills the form with the given configuration.
+   *
+   * @param {object} config - The API configuration to show.
+   */
+  const showConfig = (config) => {
+    setApiBaseUrl(config.apiBaseUrl);
+    setJwtToken(config.jwtToken);
+    setUsername(config.username);
+  };
+
+  // Load the active configuration on mount
+  useEffect(() => {
+    Promise.all([getApiConfig(), getNearbyDistance()])
+      .then(([config, distance]) => {
+        showConfig(config);
+        setNearbyDistance(String(distance));
+      })
+      .catch((error) => console.error("Error loading settings:", error))
+      .finally(() => setLoading(false));
+  }, []);
+
+  /**
+   * Saves the entered values as overrides in secure storage, and the nearby distance.
+   * Requires a valid http(s) base URL and a whole number of meters.
+   */
+  const saveSettings = async () => {
+    if (!/^https?:\/\/\S+$/.test(apiBaseUrl.trim())) {
+      Alert.alert("Please enter a valid API base URL.");
+      return;
+    }
+    if (!/^\d+$/.test(nearbyDistance.trim())) {
+      Alert.alert("Please enter the nearby distance in whole meters.");
+      return;
+    }
+    try {
+      const config = await saveApiConfig({ apiBaseUrl, jwtToken, username });
+      showConfig(config);
+      const distance = await saveNearbyDistance(Number(nearbyDistance.trim()));
+      setNearbyDistance(String(distance));
+      Alert.alert("Settings saved!");
+    } catch (error) {
+      console.error("Error saving settings:", error);
+      Alert.alert("Error", "Unable to save settings.");
+    }
+  };
+
+  /**
+   * Removes all overrides and restores the values supplied with this build.
+   */
+  const resetSettings = async () => {
+    try {
+      const config = await resetApiConfig();
+      showConfig(config);
+      const distance = await saveNearbyDistance(null);
+      setNearbyDistance(String(distance));
+      Alert.alert("Settings reset to defaults.");
+    } catch (error) {
+      console.error("Error resetting settings:", error);
+      Alert.alert("Error", "Unable to reset settings.");
+    }
+  };
+
+  // Display loading indicator while the configuration is being read
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#ff6f61" />
+        <Text style={styles.loadingText}>Loading...</Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView contentContainerStyle={styles.container}>
+      <Text style={styles.title}>API Settings</Text>
+
+      {/* API base URL */}
+      <Text style={styles.label}>API base URL</Text>
+      <TextInput
+        style={styles.input}
+        placeholder={DEFAULT_API_CONFIG.apiBaseUrl || "https://example.com/api"}
+        value={apiBaseUrl}
+        onChangeText={setApiBaseUrl}
+        autoCapitalize="none"
+        autoCorrect={false}
+        keyboardType="url"
+      />
+
+      {/* JWT token */}
+      <Text style={styles.label}>JWT token</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="Paste your JWT token"
+        value={jwtToken}
+        onChangeText={setJwtToken}
+        autoCapitalize="none"
+        autoCorrect={false}
+        secureTextEntry={true}
+      />
+
+      {/* Username */}
+      <Text style={styles.label}>Username</Text>
+      <TextInput
+        style={styles.input}
+        placeholder="e.g. s1234567"
+        value={username}
+        onChangeText={setUsername}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.title}>Notifications</Text>
+
+      {/* Nearby hint distance */}
+      <Text style={styles.label}>Nearby hint distance (meters, 0 for off)</Text>
+      <TextInput
+        style={styles.input}
+        placeholder={String(DEFAULT_NEARBY_DISTANCE)}
+        value={nearbyDistance}
+        onChangeText={setNearbyDistance}
+        keyboardType="number-pad"
+      />
+
+      <TouchableOpacity style={styles.button} onPress={saveSettings}>
+        <Text style={styles.buttonText}>Save Settings</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={styles.button} onPress={resetSettings}>
+        <Text style={styles.buttonText}>Reset to Defaults</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+// Styles for the Settings component
+const styles = StyleSheet.create({
+  /**
+   * Main container for the settings screen.
+   * Centers all content with background color and padding.
+   */
+  container: {
+    flexGrow: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: "#f5f5f5",
+    padding: 16,
+  },
+
+  /**
+   * Title text style.
+   * Highlights title with a larger font size and bold weight.
+   */
+  title: {
+    fontSize: 24,
+    fontWeight: "bold",
+    color: "#ff6f61",
+    marginBottom: 20,
+    textAlign: "center",
+  },
+
+  /**
+   * Label style for each input field.
+   * Aligns with the input width.
+   */
+  label: {
+    width: "80%",
+    fontSize: 14,
+    fontWeight: "bold",
+    color: "#555",
+    marginBottom: 6,
+  },
+
+  /**
+   * Input field style.
+   * Adds padding, border, and background color for user interaction.
+   */
+  input: {
+    width: "80%",
+    height: 40,
+    borderColor: "#ccc",
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    marginBottom: 20,
+    backgroundColor: "#fff",
+  },
+
+  /**
+   * Button style for saving and resetting settings.
+   * Sets background color, padding, and alignment.
+   */
+  button: {
+    backgroundColor: "#ff6f61",
+    paddingVertical: 12,
+    paddingHorizontal: 32,
+    borderRadius: 8,
+    marginBottom: 12,
+    width: "80%",
+    alignItems: "center",
+  },
+
+  /**
+   * Text style for button labels.
+   * Applies bold weight and white color for contrast on buttons.
+   */
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+
+  /**
+   * Container style for loading indicator.
+   * Centers content vertically and horizontally on the screen.
+   */
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#f5f5f5",
+  },
+
+  /**
+   * Style for the loading text displayed below the ActivityIndicator.
+   */
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    color: "#555",
+  },
+});
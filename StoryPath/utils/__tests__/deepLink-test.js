@@ -0,0 +1,75 @@
+import { buildProjectLink, parseDeepLink } from '../deepLink';
+
+jest.mock('expo-constants', () => ({
+  expoConfig: { extra: { linkHost: 'links.example.com' } },
+}));
+
+describe('buildProjectLink', () => {
+  it(`links to a project`, () => {
+    expect(buildProjectLink(3)).toBe('storypath://project/3');
+  });
+
+  it(`links to a location of a project`, () => {
+    expect(buildProjectLink(3, 12)).toBe('storypath://project/3/location/12');
+  });
+});
+
+describe('parseDeepLink', () => {
+  it(`decodes project and location links`, () => {
+    expect(parseDeepLink('storypath://project/3')).toEqual({
+      projectId: 3,
+      locationId: null,
+    });
+    expect(parseDeepLink(' storypath://project/3/location/12/ ')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+  });
+
+  it(`ignores a query string or fragment`, () => {
+    expect(parseDeepLink('storypath://project/3/location/12?ref=poster')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+    expect(parseDeepLink('StoryPath://project/3#top')).toEqual({
+      projectId: 3,
+      locationId: null,
+    });
+  });
+
+  it(`round-trips the links it builds`, () => {
+    expect(parseDeepLink(buildProjectLink(7, 2))).toEqual({
+      projectId: 7,
+      locationId: 2,
+    });
+  });
+
+  it(`decodes web links on the app's link domain`, () => {
+    expect(parseDeepLink('https://links.example.com/project/3/location/12')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+    expect(parseDeepLink('https://links.example.com/project/3/')).toEqual({
+      projectId: 3,
+      locationId: null,
+    });
+  });
+
+  it(`rejects web links to other hosts and other schemes`, () => {
+    expect(parseDeepLink('https://example.com/project/3/location/12')).toBeNull();
+    expect(parseDeepLink('https://linksxexample.com/project/3')).toBeNull();
+    expect(
+      parseDeepLink('https://links.example.com.example.com/project/3')
+    ).toBeNull();
+    expect(parseDeepLink('http://links.example.com/project/3')).toBeNull();
+    expect(parseDeepLink('otherapp://project/3')).toBeNull();
+  });
+
+  it(`rejects malformed links and zero IDs`, () => {
+    expect(parseDeepLink('storypath://project/abc')).toBeNull();
+    expect(parseDeepLink('storypath://project/3/location')).toBeNull();
+    expect(parseDeepLink('storypath://project/0')).toBeNull();
+    expect(parseDeepLink('storypath://project/3/location/0')).toBeNull();
+    expect(parseDeepLink(null)).toBeNull();
+  });
+});
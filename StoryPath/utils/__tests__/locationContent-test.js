@@ -0,0 +1,49 @@
+import {
+  CONTENT_SECURITY_POLICY,
+  buildContentDocument,
+  isContentRequestAllowed,
+} from '../locationContent';
+
+const OFFLINE_BASE_URL = 'file:///data/user/0/storypath/files/';
+const EMBED_URL = 'https://www.youtube.com/embed/dQw4w9WgXcQ';
+
+describe('location content', () => {
+  it(`keeps an iframe embed inside the strict policy`, () => {
+    const html = buildContentDocument(
+      `<p>Listen to the guide</p><iframe src="${EMBED_URL}" allowfullscreen></iframe>`
+    );
+
+    expect(html).toContain(`<iframe src="${EMBED_URL}" allowfullscreen></iframe>`);
+    expect(html).toContain(`content="${CONTENT_SECURITY_POLICY}"`);
+    expect(CONTENT_SECURITY_POLICY).toContain("script-src 'none'");
+    expect(CONTENT_SECURITY_POLICY).toContain('frame-src https:');
+  });
+
+  it(`lets the iframe embed load in its frame`, () => {
+    expect(isContentRequestAllowed({ url: EMBED_URL, isTopFrame: false })).toBe(true);
+  });
+
+  it(`does not let a frame load anything but https`, () => {
+    expect(
+      isContentRequestAllowed({ url: 'http://example.com/player', isTopFrame: false })
+    ).toBe(false);
+    expect(
+      isContentRequestAllowed({ url: 'javascript:alert(1)', isTopFrame: false })
+    ).toBe(false);
+  });
+
+  it(`keeps the top frame on the injected document`, () => {
+    expect(isContentRequestAllowed({ url: 'about:blank', isTopFrame: true })).toBe(true);
+    expect(
+      isContentRequestAllowed({ url: OFFLINE_BASE_URL, isTopFrame: true }, OFFLINE_BASE_URL)
+    ).toBe(true);
+    expect(isContentRequestAllowed({ url: EMBED_URL, isTopFrame: true })).toBe(false);
+    expect(
+      isContentRequestAllowed({ url: 'https://example.com/story', isTopFrame: true })
+    ).toBe(false);
+  });
+
+  it(`shows a placeholder for a location without content`, () => {
+    expect(buildContentDocument('')).toContain('<p>This location has no content.</p>');
+  });
+});
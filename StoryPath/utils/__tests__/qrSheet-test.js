@@ -0,0 +1,32 @@
+import { buildQrSheetHtml } from '../qrSheet';
+
+jest.mock('../../api/api', () => ({
+  getProject: jest.fn(),
+  getLocations: jest.fn(),
+}));
+
+const project = { id: 1, title: 'Campus Trail' };
+
+const labels = (html) => html.match(/Location \d+(?=<\/div>)/g);
+
+describe('buildQrSheetHtml', () => {
+  it(`labels each code with the location's order in the project`, async () => {
+    const { html, count } = await buildQrSheetHtml(project, [
+      { id: 3, location_order: 3, location_trigger_type: 'QR code scan' },
+      { id: 1, location_order: 1, location_trigger_type: 'Location entry' },
+      { id: 2, location_order: 2, location_trigger_type: 'QR code scan' },
+    ]);
+
+    expect(count).toBe(2);
+    expect(labels(html)).toEqual(['Location 2', 'Location 3']);
+  });
+
+  it(`numbers locations without an order by their place in the project`, async () => {
+    const { html } = await buildQrSheetHtml(project, [
+      { id: 1, location_order: null, location_trigger_type: 'Location entry' },
+      { id: 2, location_order: null, location_trigger_type: 'QR code scan' },
+    ]);
+
+    expect(labels(html)).toEqual(['Location 2']);
+  });
+});
@@ -0,0 +1,62 @@
+import { parseScanPayload } from '../scanPayload';
+
+describe('parseScanPayload', () => {
+  it(`decodes a bare location ID`, () => {
+    expect(parseScanPayload(' 12 ')).toEqual({ projectId: null, locationId: 12 });
+  });
+
+  it(`decodes a JSON payload`, () => {
+    expect(parseScanPayload('{"project_id": 3, "location_id": 12}')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+    expect(parseScanPayload('{"location_id": "12"}')).toEqual({
+      projectId: null,
+      locationId: 12,
+    });
+  });
+
+  it(`decodes a StoryPath location link`, () => {
+    expect(parseScanPayload('storypath://project/3/location/12')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+  });
+
+  it(`decodes an encoded StoryPath link`, () => {
+    // base64 of "3:12"
+    expect(parseScanPayload('storypath://unlock?code=MzoxMg==')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+  });
+
+  it(`decodes an encoded link without padding`, () => {
+    expect(parseScanPayload('storypath://unlock?code=MzoxMg')).toEqual({
+      projectId: 3,
+      locationId: 12,
+    });
+  });
+
+  it(`rejects encoded links that are not valid base64`, () => {
+    expect(parseScanPayload('storypath://unlock?code=M')).toBeNull();
+  });
+
+  it(`rejects links without a location`, () => {
+    expect(parseScanPayload('storypath://project/3')).toBeNull();
+  });
+
+  it(`rejects data that is not a StoryPath code`, () => {
+    expect(parseScanPayload('')).toBeNull();
+    expect(parseScanPayload('hello')).toBeNull();
+    expect(parseScanPayload('{not json')).toBeNull();
+    expect(parseScanPayload('https://example.com/project/3/location/12')).toBeNull();
+    expect(parseScanPayload(undefined)).toBeNull();
+  });
+
+  it(`rejects IDs that are not positive integers`, () => {
+    expect(parseScanPayload('0')).toBeNull();
+    expect(parseScanPayload('{"project_id": -1, "location_id": 12}')).toBeNull();
+    expect(parseScanPayload('{"project_id": 3, "location_id": 1.5}')).toBeNull();
+  });
+});
@@ -0,0 +1,116 @@
+import { calculateScore, getScoringMode, isProjectComplete } from '../scoring';
+
+const locations = [
+  { id: 1, location_order: 2, score_points: 10 },
+  { id: 2, location_order: 1, score_points: 5 },
+  { id: 3, location_order: 3, score_points: null },
+];
+
+const project = (participant_scoring) => ({ id: 1, participant_scoring });
+
+describe('calculateScore', () => {
+  it(`sums score_points of visited locations in "points" mode`, () => {
+    const score = calculateScore(project('Points'), locations, [1, 3]);
+
+    expect(score.mode).toBe('points');
+    expect(score.earned).toBe(10);
+    expect(score.possible).toBe(15);
+    expect(score.breakdown).toEqual([
+      { locationId: 1, visited: true, earned: 10, possible: 10 },
+      { locationId: 2, visited: false, earned: 0, possible: 5 },
+      { locationId: 3, visited: true, earned: 0, possible: 0 },
+    ]);
+  });
+
+  it(`counts visited locations in "number of locations entered" mode`, () => {
+    const score = calculateScore(
+      project('Number of Locations Entered'),
+      locations,
+      new Set([2, 3])
+    );
+
+    expect(score.earned).toBe(2);
+    expect(score.possible).toBe(3);
+  });
+
+  it(`only counts locations unlocked in order in "sequence" mode`, () => {
+    const score = calculateScore(project('Sequence'), locations, [2, 3]);
+
+    expect(score.earned).toBe(1);
+    expect(score.possible).toBe(3);
+    expect(score.breakdown.map((item) => item.locationId)).toEqual([2, 1, 3]);
+    expect(score.breakdown[2]).toEqual({
+      locationId: 3,
+      visited: true,
+      earned: 0,
+      possible: 1,
+    });
+  });
+
+  it(`scores a completed sequence in full`, () => {
+    const score = calculateScore(project('sequence'), locations, [1, 2, 3]);
+
+    expect(score.earned).toBe(3);
+  });
+
+  it(`earns nothing in "not scored" mode`, () => {
+    const score = calculateScore(project('Not Scored'), locations, [1, 2]);
+
+    expect(score.earned).toBe(0);
+    expect(score.possible).toBe(0);
+  });
+
+  it(`accepts visit records as the visit history`, () => {
+    const score = calculateScore(project('Points'), locations, [
+      { locationId: 1 },
+      { location_id: '2' },
+    ]);
+
+    expect(score.earned).toBe(15);
+  });
+
+  it(`handles a project without locations`, () => {
+    const score = calculateScore(project('Points'), [], []);
+
+    expect(score).toEqual({
+      mode: 'points',
+      earned: 0,
+      possible: 0,
+      breakdown: [],
+    });
+  });
+});
+
+describe('getScoringMode', () => {
+  it(`falls back to counting locations for unknown modes`, () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(getScoringMode(project('Treasure'))).toBe(
+      'number of locations entered'
+    );
+    expect(getScoringMode({})).toBe('number of locations entered');
+    expect(warn).toHaveBeenCalled();
+
+    warn.mockRestore();
+  });
+});
+
+describe('isProjectComplete', () => {
+  it(`is complete once every possible point is earned`, () => {
+    expect(isProjectComplete(project('Points'), locations, [1, 2])).toBe(true);
+    expect(isProjectComplete(project('Points'), locations, [1, 3])).toBe(false);
+  });
+
+  it(`is complete once every location is visited`, () => {
+    expect(isProjectComplete(project('Not Scored'), locations, [1, 2])).toBe(
+      false
+    );
+    expect(
+      isProjectComplete(project('Not Scored'), locations, [1, 2, 3])
+    ).toBe(true);
+  });
+
+  it(`is never complete without locations`, () => {
+    expect(isProjectComplete(project('Points'), [], [])).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  canUnlockInSession,
+  getDeadline,
+  getElapsedTime,
+  getRemainingTime,
+  getSessionStatus,
+  getTimeLimit,
+  SESSION_ACTIVE,
+  SESSION_EXPIRED,
+  SESSION_FINISHED,
+  SESSION_NOT_STARTED,
+} from '../sessions';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+const MINUTE = 60 * 1000;
+const start = Date.parse('2024-05-01T10:00:00.000Z');
+
+const timed = { id: 1, time_limit_minutes: 30 };
+const untimed = { id: 2, time_limit_minutes: null };
+
+const session = (finishedAfter) => ({
+  startedAt: new Date(start).toISOString(),
+  finishedAt:
+    finishedAfter === undefined
+      ? null
+      : new Date(start + finishedAfter).toISOString(),
+});
+
+describe('getTimeLimit', () => {
+  it(`converts the time limit to milliseconds`, () => {
+    expect(getTimeLimit(timed)).toBe(30 * MINUTE);
+  });
+
+  it(`treats a missing or non-positive limit as untimed`, () => {
+    expect(getTimeLimit(untimed)).toBeNull();
+    expect(getTimeLimit({ time_limit_minutes: 0 })).toBeNull();
+    expect(getTimeLimit(null)).toBeNull();
+  });
+});
+
+describe('getSessionStatus', () => {
+  it(`is not started without a session`, () => {
+    expect(getSessionStatus(timed, null)).toBe(SESSION_NOT_STARTED);
+  });
+
+  it(`is active until the time limit runs out`, () => {
+    expect(getSessionStatus(timed, session(), start + 29 * MINUTE)).toBe(
+      SESSION_ACTIVE
+    );
+    expect(getSessionStatus(timed, session(), start + 30 * MINUTE)).toBe(
+      SESSION_EXPIRED
+    );
+    expect(getSessionStatus(untimed, session(), start + 600 * MINUTE)).toBe(
+      SESSION_ACTIVE
+    );
+  });
+
+  it(`tells a session finished in time from one that ran out`, () => {
+    expect(getSessionStatus(timed, session(10 * MINUTE))).toBe(SESSION_FINISHED);
+    expect(getSessionStatus(timed, session(30 * MINUTE))).toBe(SESSION_EXPIRED);
+  });
+});
+
+describe('canUnlockInSession', () => {
+  it(`allows the first visit to an untimed project to start its session`, () => {
+    expect(canUnlockInSession(untimed, null)).toBe(true);
+  });
+
+  it(`requires a timed project to be started`, () => {
+    expect(canUnlockInSession(timed, null)).toBe(false);
+    expect(canUnlockInSession(timed, session(), start + MINUTE)).toBe(true);
+  });
+
+  it(`blocks unlocks once the session is over`, () => {
+    expect(canUnlockInSession(timed, session(), start + 31 * MINUTE)).toBe(false);
+    expect(canUnlockInSession(untimed, session(5 * MINUTE))).toBe(false);
+  });
+});
+
+describe('session times', () => {
+  it(`stops the clock at the deadline`, () => {
+    expect(getDeadline(timed, session())).toBe(start + 30 * MINUTE);
+    expect(getElapsedTime(timed, session(), start + 45 * MINUTE)).toBe(
+      30 * MINUTE
+    );
+    expect(getRemainingTime(timed, session(), start + 45 * MINUTE)).toBe(0);
+  });
+
+  it(`stops the clock when the session is finished`, () => {
+    expect(getElapsedTime(untimed, session(12 * MINUTE), start + 60 * MINUTE)).toBe(
+      12 * MINUTE
+    );
+    expect(getRemainingTime(timed, session(12 * MINUTE))).toBe(18 * MINUTE);
+  });
+
+  it(`has no remaining time for untimed projects`, () => {
+    expect(getRemainingTime(untimed, session())).toBeNull();
+    expect(getElapsedTime(untimed, null)).toBe(0);
+  });
+});
@@ -0,0 +1,43 @@
+import { getDistance } from 'geolib';
+import { FUZZY_AREA_RADIUS, getFuzzyArea } from '../visibility';
+
+const location = (id, latitude, longitude) => ({ id, latitude, longitude });
+
+describe('getFuzzyArea', () => {
+  it(`always contains the hidden location`, () => {
+    const points = [
+      location(1, -27.4975, 153.0137),
+      location(2, 51.5007, -0.1246),
+      location(3, 64.1466, -21.9426),
+      location(4, 0.0001, -0.0001),
+    ];
+
+    points.forEach((point) => {
+      const area = getFuzzyArea(point, 20);
+
+      expect(getDistance(point, area.center)).toBeLessThan(area.radius);
+    });
+  });
+
+  it(`does not depend on the location ID`, () => {
+    const first = getFuzzyArea(location(1, -27.4975, 153.0137), 20);
+    const second = getFuzzyArea(location(999, -27.4975, 153.0137), 20);
+
+    expect(second).toEqual(first);
+  });
+
+  it(`gives nearby locations in the same grid cell the same area`, () => {
+    const area = getFuzzyArea(location(1, -27.4975, 153.0137), 20);
+    const neighbour = getFuzzyArea(
+      location(2, area.center.latitude + 0.0001, area.center.longitude - 0.0001),
+      20
+    );
+
+    expect(neighbour.center).toEqual(area.center);
+  });
+
+  it(`grows with the unlock radius`, () => {
+    expect(getFuzzyArea(location(1, 0, 0), 10).radius).toBe(FUZZY_AREA_RADIUS);
+    expect(getFuzzyArea(location(1, 0, 0), 100).radius).toBe(300);
+  });
+});
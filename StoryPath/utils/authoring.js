@@ -0,0 +1,113 @@
+// utils/authoring.js
+
+import { DISPLAY_ALL_LOCATIONS, DISPLAY_INITIAL_CLUE } from "./visibility";
+import {
+  TRIGGER_LOCATION_ENTRY,
+  TRIGGER_QR_CODE,
+  TRIGGER_BOTH,
+} from "./triggerType";
+
+// Choices offered by the project and location editors
+export const HOMESCREEN_DISPLAY_OPTIONS = [
+  DISPLAY_INITIAL_CLUE,
+  DISPLAY_ALL_LOCATIONS,
+];
+export const PARTICIPANT_SCORING_OPTIONS = [
+  "Not Scored",
+  "Points",
+  "Number of Locations Entered",
+  "Sequence",
+];
+export const LOCATION_TRIGGER_OPTIONS = [
+  TRIGGER_LOCATION_ENTRY,
+  TRIGGER_QR_CODE,
+  TRIGGER_BOTH,
+];
+
+/**
+ * Builds the project record to save from the project editor's form values.
+ *
+ * The optional time limit is only sent when it is set or being cleared, so backends without
+ * a time_limit_minutes column can still save projects without one.
+ *
+ * @param {object} form - The form values. Text fields are strings; is_published is a boolean.
+ * @param {object|null} [saved] - The project as last loaded or saved, or null for a new project.
+ * @returns {{project: object|null, error: string|null}} The project record, or the first
+ * problem to show the author if the form is incomplete.
+ */
+export function buildProjectRecord(form, saved = null) {
+  const title = form.title.trim();
+  if (!title) return { project: null, error: "Please enter a project title." };
+  if (!form.description.trim()) {
+    return { project: null, error: "Please enter a project description." };
+  }
+  if (form.homescreen_display === DISPLAY_INITIAL_CLUE && !form.initial_clue.trim()) {
+    return {
+      project: null,
+      error: "Please enter an initial clue, or display all locations instead.",
+    };
+  }
+  const timeLimit = form.time_limit_minutes.trim();
+  if (timeLimit && !/^[1-9]\d*$/.test(timeLimit)) {
+    return {
+      project: null,
+      error: "Please enter the time limit as a whole number of minutes, or leave it empty.",
+    };
+  }
+
+  const project = {
+    title,
+    description: form.description.trim(),
+    instructions: form.instructions.trim(),
+    initial_clue: form.initial_clue.trim(),
+    homescreen_display: form.homescreen_display,
+    participant_scoring: form.participant_scoring,
+    is_published: form.is_published,
+  };
+  if (timeLimit) {
+    project.time_limit_minutes = Number(timeLimit);
+  } else if (saved?.time_limit_minutes != null) {
+    project.time_limit_minutes = null;
+  }
+  return { project, error: null };
+}
+
+/**
+ * Builds the location record to save from the location editor's form values.
+ *
+ * @param {object} form - The form values. Text fields are strings; position is the dropped
+ * pin's {latitude, longitude}, or null if no pin has been dropped.
+ * @param {number|string} projectId - The ID of the project the location belongs to.
+ * @returns {{location: object|null, error: string|null}} The location record, or the first
+ * problem to show the author if the form is incomplete.
+ */
+export function buildLocationRecord(form, projectId) {
+  const name = form.location_name.trim();
+  if (!name) return { location: null, error: "Please enter a location name." };
+  if (!form.position) {
+    return { location: null, error: "Please drop a pin on the map." };
+  }
+  if (!/^\d+$/.test(form.score_points.trim())) {
+    return { location: null, error: "Please enter the score points as a whole number." };
+  }
+  if (form.location_order.trim() && !/^\d+$/.test(form.location_order.trim())) {
+    return { location: null, error: "Please enter the order as a whole number." };
+  }
+
+  const { latitude, longitude } = form.position;
+  return {
+    location: {
+      project_id: Number(projectId),
+      location_name: name,
+      location_trigger_type: form.location_trigger_type,
+      location_position: `(${latitude.toFixed(6)},${longitude.toFixed(6)})`,
+      score_points: Number(form.score_points.trim()),
+      clue: form.clue.trim(),
+      location_content: form.location_content.trim(),
+      location_order: form.location_order.trim()
+        ? Number(form.location_order.trim())
+        : null,
+    },
+    error: null,
+  };
+}
@@ -0,0 +1,33 @@
+// utils/base64.js
+
+// The base64 alphabet; "-" and "_" from the URL-safe alphabet are mapped onto "+" and "/"
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Decodes base64 text into a string of byte values, like the browser's atob, which is not
+ * available in every React Native JavaScript engine. Both the standard and the URL-safe
+ * alphabet are accepted, with or without padding.
+ *
+ * @param {string} text - The base64 text.
+ * @returns {string} The decoded data, one character per byte.
+ * @throws {Error} If the text is not valid base64.
+ */
+export function decodeBase64(text) {
+  const input = String(text).replace(/-/g, "+").replace(/_/g, "/").replace(/=+$/, "");
+  if (input.length % 4 === 1 || /[^A-Za-z0-9+/]/.test(input)) {
+    throw new Error("Invalid base64 text");
+  }
+
+  let output = "";
+  let buffer = 0;
+  let bits = 0;
+  for (const char of input) {
+    buffer = (buffer << 6) | ALPHABET.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      output += String.fromCharCode((buffer >> bits) & 0xff);
+    }
+  }
+  return output;
+}
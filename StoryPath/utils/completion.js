@@ -0,0 +1,110 @@
+// utils/completion.js
+
+import { captureRef } from "react-native-view-shot";
+import * as MediaLibrary from "expo-media-library";
+import * as Sharing from "expo-sharing";
+import { calculateScore } from "./scoring";
+import { getElapsedTime } from "./sessions";
+
+/**
+ * Summarises a participant's completed project from their visit history.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Array<{locationId: number, visitedAt: string, unlockMethod: string}>} history - The
+ * participant's visits, oldest first (see loadVisitHistory).
+ * @param {Set<number>} visited - IDs of the locations the participant has visited.
+ * @param {object|null} [session] - The participant's play session (see loadSession).
+ * @returns {{earned: number, possible: number, totalTime: number|null, completedAt: string|null,
+ * route: Array<{location: object, visitedAt: string|null, unlockMethod: string|null}>}}
+ * The points earned and possible, the time in milliseconds played in the finished session, or
+ * else from the first visit to the last (null if some visits were recorded before the history
+ * was kept), when the last location was visited, and the unlocked locations in the order they
+ * were visited. Visits without a history entry come last, with a null visitedAt.
+ */
+export function buildCompletionSummary(
+  project,
+  locations,
+  history,
+  visited,
+  session = null
+) {
+  const byId = new Map(locations.map((loc) => [Number(loc.id), loc]));
+  const route = [];
+  const seen = new Set();
+  for (const visit of history) {
+    const id = Number(visit.locationId);
+    if (!byId.has(id) || !visited.has(id) || seen.has(id)) continue;
+    seen.add(id);
+    route.push({
+      location: byId.get(id),
+      visitedAt: visit.visitedAt,
+      unlockMethod: visit.unlockMethod,
+    });
+  }
+  for (const loc of locations) {
+    if (visited.has(Number(loc.id)) && !seen.has(Number(loc.id))) {
+      route.push({ location: loc, visitedAt: null, unlockMethod: null });
+    }
+  }
+
+  const times = route
+    .map((stop) => Date.parse(stop.visitedAt))
+    .filter(Number.isFinite);
+  const complete = times.length > 0 && times.length === route.length;
+  const score = calculateScore(project, locations, visited);
+  let totalTime = complete ? Math.max(...times) - Math.min(...times) : null;
+  if (session?.finishedAt) totalTime = getElapsedTime(project, session);
+
+  return {
+    earned: score.earned,
+    possible: score.possible,
+    totalTime,
+    completedAt: complete ? new Date(Math.max(...times)).toISOString() : null,
+    route,
+  };
+}
+
+/**
+ * Captures the rendered completion certificate as a PNG image.
+ *
+ * @param {object} certificateRef - Ref to the certificate view.
+ * @returns {Promise<string>} The URI of the image file.
+ */
+function captureCertificate(certificateRef) {
+  return captureRef(certificateRef, { format: "png", quality: 1 });
+}
+
+/**
+ * Saves the completion certificate to the device's photo library.
+ *
+ * @param {object} certificateRef - Ref to the certificate view.
+ * @returns {Promise<boolean>} False if the user did not allow access to the photo library.
+ */
+export async function saveCertificate(certificateRef) {
+  const { granted } = await MediaLibrary.requestPermissionsAsync(true);
+  if (!granted) return false;
+  const uri = await captureCertificate(certificateRef);
+  await MediaLibrary.saveToLibraryAsync(uri);
+  return true;
+}
+
+/**
+ * Opens the share sheet with the completion certificate image.
+ *
+ * @param {object} certificateRef - Ref to the certificate view.
+ * @param {object} project - The completed project, used for the share dialog title.
+ * @returns {Promise<void>}
+ * @throws {Error} If sharing is not available on this device.
+ */
+export async function shareCertificate(certificateRef, project) {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device.");
+  }
+  const uri = await captureCertificate(certificateRef);
+  await Sharing.shareAsync(uri, {
+    mimeType: "image/png",
+    UTI: "public.png",
+    dialogTitle: `Certificate for ${project.title}`,
+  });
+}
@@ -0,0 +1,54 @@
+// utils/deepLink.js
+
+import Constants from "expo-constants";
+
+// URL scheme registered for the app in app.json
+export const LINK_SCHEME = "storypath";
+
+// Web domain whose https links open the app (universal links on iOS, verified app links on
+// Android), from app.json "extra". It must match ios.associatedDomains and the Android intent
+// filter, and serve the apple-app-site-association and assetlinks.json files.
+export const LINK_HOST = Constants.expoConfig?.extra?.linkHost ?? "";
+
+/**
+ * Builds the StoryPath link that opens a project, or one of its locations.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {number|string} [locationId] - The location's ID, to link to the location.
+ * @returns {string} The link, e.g. "storypath://project/3/location/12".
+ */
+export function buildProjectLink(projectId, locationId) {
+  const link = `${LINK_SCHEME}://project/${projectId}`;
+  return locationId ? `${link}/location/${locationId}` : link;
+}
+
+/**
+ * Decodes a StoryPath link to a project or location. Both the app's URL scheme and
+ * web links with the same path on LINK_HOST are accepted; web links to other hosts are not.
+ *
+ * Supported formats:
+ * - "storypath://project/3" or "https://<LINK_HOST>/project/3"
+ * - "storypath://project/3/location/12" or "https://<LINK_HOST>/project/3/location/12"
+ *
+ * @param {string} url - The link.
+ * @returns {{projectId: number, locationId: number|null} | null} The linked IDs, or null if
+ * the URL is not a StoryPath link. locationId is null for links to a project.
+ */
+export function parseDeepLink(url) {
+  if (typeof url !== "string") return null;
+  const text = url.trim();
+  const prefixes = [`${LINK_SCHEME}://`];
+  if (LINK_HOST) prefixes.push(`https://${LINK_HOST.replace(/\./g, "\\.")}/`);
+  const match = text.match(
+    new RegExp(
+      `^(?:${prefixes.join("|")})project/(\\d+)(?:/location/(\\d+))?/?(?:[?#].*)?$`,
+      "i"
+    )
+  );
+  if (!match) return null;
+
+  const projectId = Number(match[1]);
+  const locationId = match[2] ? Number(match[2]) : null;
+  if (projectId <= 0 || locationId === 0) return null;
+  return { projectId, locationId };
+}
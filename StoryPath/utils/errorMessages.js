@@ -0,0 +1,52 @@
+// utils/errorMessages.js
+
+import {
+  AuthError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  TimeoutError,
+  ValidationError,
+} from "../api/errors";
+
+// Kinds of API error, most specific first, with the key used for their message
+const ERROR_KINDS = [
+  [TimeoutError, "timeout"],
+  [NetworkError, "network"],
+  [AuthError, "auth"],
+  [NotFoundError, "notFound"],
+  [ValidationError, "validation"],
+  [ServerError, "server"],
+];
+
+// Messages shown for each kind of error when a screen has no message of its own
+const DEFAULT_MESSAGES = {
+  timeout: "The StoryPath server is taking too long to respond. Please try again.",
+  network:
+    "Unable to reach the StoryPath server. Please check your internet connection.",
+  auth: "The server did not accept your access token. Please check the JWT token in Settings.",
+  notFound: "The requested data could not be found.",
+  validation: "The server did not accept this request.",
+  server: "The StoryPath server ran into a problem. Please try again later.",
+  default: "Something went wrong. Please try again later.",
+};
+
+/**
+ * Returns the message to show the user for an error, by the kind of error.
+ * A timeout is also a network error, so a screen's network message covers timeouts
+ * unless it has a timeout message too.
+ *
+ * @param {Error} error - The error thrown by an API request.
+ * @param {object} [messages={}] - The screen's own messages, keyed by kind: timeout, network,
+ * auth, notFound, validation or server, and default for any other error.
+ * @returns {string} The message to show.
+ */
+export function getErrorMessage(error, messages = {}) {
+  const kinds = ERROR_KINDS.filter(([type]) => error instanceof type).map(
+    ([, kind]) => kind
+  );
+  const kind = kinds.find((key) => messages[key]);
+  if (kind) return messages[kind];
+  if (kinds.length > 0) return DEFAULT_MESSAGES[kinds[0]];
+  return messages.default ?? DEFAULT_MESSAGES.default;
+}
@@ -0,0 +1,180 @@
+// utils/geofencing.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+import { getActiveProfileId, loadProfiles } from "./profileStorage";
+import { getUnlockRadius } from "./proximity";
+import { canUnlockInSequence } from "./sequence";
+import { canUnlockByGps, UNLOCK_METHOD_GPS } from "./triggerType";
+import { loadVisitedLocations, recordVisit } from "./visits";
+import { getNearbyDistance, notifyNearbyLocation } from "./notifications";
+
+// Name of the background task that receives geofence events
+export const GEOFENCE_TASK = "storypath-geofencing";
+
+// AsyncStorage key holding the project whose locations are geofenced. Only one project
+// is geofenced at a time: the one most recently opened.
+const GEOFENCE_STATE_KEY = "geofenceProject";
+
+// iOS monitors at most 20 regions per app
+const MAX_GEOFENCES = 20;
+
+/**
+ * Returns the identifier of a location's unlock region.
+ *
+ * @param {object} location - The location record.
+ * @returns {string} The region identifier.
+ */
+function regionIdentifier(location) {
+  return `location_${location.id}`;
+}
+
+/**
+ * Returns the identifier of a location's nearby hint region.
+ *
+ * @param {object} location - The location record.
+ * @returns {string} The region identifier.
+ */
+function nearbyRegionIdentifier(location) {
+  return `nearby_${location.id}`;
+}
+
+/**
+ * Stops all geofences and forgets the geofenced project.
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopGeofencing() {
+  if (await Location.hasStartedGeofencingAsync(GEOFENCE_TASK)) {
+    await Location.stopGeofencingAsync(GEOFENCE_TASK);
+  }
+  await AsyncStorage.removeItem(GEOFENCE_STATE_KEY);
+}
+
+/**
+ * Registers OS-level geofences for the locations of a project that can still be unlocked
+ * by location entry, replacing the geofences of any other project. In a sequence project
+ * only the next location is geofenced. Each location also gets a wider region that sends a
+ * nearby hint, unless nearby hints are turned off. When no location is left, for example
+ * because the project is finished, geofencing is stopped. Nothing is registered without
+ * background location permission.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations, with parsed latitude and longitude.
+ * @param {Set<number>} visited - IDs of the locations already visited.
+ * @param {string} username - Username of the participant the unlocks are recorded for.
+ * @returns {Promise<void>}
+ */
+export async function syncGeofences(project, locations, visited, username) {
+  const { status } = await Location.getBackgroundPermissionsAsync();
+  if (status !== "granted") return;
+
+  const targets = locations.filter(
+    (loc) =>
+      !visited.has(loc.id) &&
+      canUnlockByGps(loc) &&
+      loc.latitude != null &&
+      loc.longitude != null &&
+      canUnlockInSequence(project, locations, visited, loc)
+  );
+  const region = (loc, identifier, radius) => ({
+    identifier,
+    latitude: loc.latitude,
+    longitude: loc.longitude,
+    radius,
+    notifyOnEnter: true,
+    notifyOnExit: false,
+  });
+
+  // Unlock regions take priority over nearby hints when there are too many
+  const nearbyDistance = await getNearbyDistance();
+  const regions = [
+    ...targets.map((loc) =>
+      region(loc, regionIdentifier(loc), getUnlockRadius(loc, project))
+    ),
+    ...targets
+      .filter((loc) => nearbyDistance > getUnlockRadius(loc, project))
+      .map((loc) => region(loc, nearbyRegionIdentifier(loc), nearbyDistance)),
+  ].slice(0, MAX_GEOFENCES);
+
+  if (regions.length === 0) {
+    await stopGeofencing();
+    return;
+  }
+
+  await AsyncStorage.setItem(
+    GEOFENCE_STATE_KEY,
+    JSON.stringify({
+      project,
+      locations,
+      profileId: getActiveProfileId(),
+      username,
+    })
+  );
+  await Location.startGeofencingAsync(GEOFENCE_TASK, regions);
+}
+
+/**
+ * Handles a geofence being entered. Entering a nearby hint region sends a nearby hint.
+ * Entering an unlock region unlocks the location through the shared visit pipeline,
+ * which announces it with a local notification; the geofences are then updated so the
+ * location is no longer monitored.
+ *
+ * @param {string} identifier - The identifier of the entered region.
+ * @returns {Promise<void>}
+ */
+async function handleGeofenceEnter(identifier) {
+  const data = await AsyncStorage.getItem(GEOFENCE_STATE_KEY);
+  if (!data) return;
+  const { project, locations, profileId, username } = JSON.parse(data);
+
+  const nearby = locations.find(
+    (loc) => nearbyRegionIdentifier(loc) === identifier
+  );
+  if (nearby) {
+    await notifyNearbyLocation(project, nearby, await getNearbyDistance());
+    return;
+  }
+
+  const location = locations.find((loc) => regionIdentifier(loc) === identifier);
+  if (!location) return;
+
+  // The task may run without the app's UI, before the profiles have been loaded
+  if (!getActiveProfileId()) {
+    await loadProfiles();
+  }
+  // The geofences belong to a profile that is no longer active
+  if (getActiveProfileId() !== profileId) {
+    await stopGeofencing();
+    return;
+  }
+
+  const visited = await loadVisitedLocations(project.id);
+  if (!canUnlockInSequence(project, locations, visited, location)) return;
+
+  const result = await recordVisit({
+    project,
+    locations,
+    location,
+    unlockMethod: UNLOCK_METHOD_GPS,
+    participantUsername: username,
+  });
+  await syncGeofences(project, locations, result.visited, username);
+}
+
+// Background task receiving geofence events, also while the app is closed.
+// It must be defined when the app's JavaScript loads, so this module is imported by app/_layout.jsx.
+TaskManager.defineTask(GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error("Geofencing Task Error:", error);
+    return;
+  }
+  if (data.eventType !== Location.GeofencingEventType.Enter) return;
+
+  try {
+    await handleGeofenceEnter(data.region.identifier);
+  } catch (err) {
+    console.error("Geofence Unlock Error:", err);
+  }
+});
@@ -0,0 +1,78 @@
+// utils/guidance.js
+
+import { getCompassDirection, getGreatCircleBearing } from "geolib";
+import { getDistanceTo } from "./proximity";
+import { getNextInSequence } from "./sequence";
+import { canUnlockByGps } from "./triggerType";
+
+// Change in distance (in meters) needed before the user is told they are warmer or colder,
+// so GPS jitter does not flip the indicator
+export const WARMTH_THRESHOLD = 3;
+
+/**
+ * Chooses the location to guide the user to: the selected location if it is unvisited,
+ * else the next location of a sequence project, else the nearest unvisited location
+ * that can be unlocked by location entry.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations, with parsed latitude and longitude.
+ * @param {Set<number>} visited - IDs of the locations already visited.
+ * @param {object} coords - The user's coordinates.
+ * @param {number|null} [selectedId] - ID of the location the user selected.
+ * @returns {object|null} The target location, or null if there is none.
+ */
+export function getGuidanceTarget(project, locations, visited, coords, selectedId) {
+  const selected = locations.find((loc) => loc.id === selectedId);
+  if (selected && !visited.has(selected.id)) return selected;
+
+  const next = getNextInSequence(project, locations, visited);
+  if (next) return next;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  for (const loc of locations) {
+    if (visited.has(loc.id) || !canUnlockByGps(loc)) continue;
+    const distance = getDistanceTo(coords, loc);
+    if (distance !== null && distance < nearestDistance) {
+      nearest = loc;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Calculates the bearing and compass direction from the user to a location.
+ *
+ * @param {object} coords - The user's coordinates.
+ * @param {object} location - A location with parsed latitude and longitude.
+ * @returns {{bearing: number, direction: string} | null} The bearing in degrees clockwise
+ * from north and its compass direction (e.g. "NNE"), or null if the location has no position.
+ */
+export function getBearingTo(coords, location) {
+  if (!coords || location.latitude == null || location.longitude == null) {
+    return null;
+  }
+  const from = { latitude: coords.latitude, longitude: coords.longitude };
+  const to = { latitude: location.latitude, longitude: location.longitude };
+  return {
+    bearing: Math.round(getGreatCircleBearing(from, to)),
+    direction: getCompassDirection(from, to),
+  };
+}
+
+/**
+ * Compares the distance to a location with the previous distance, for the
+ * "warmer/colder" indicator of hidden locations.
+ *
+ * @param {number|null} previousDistance - The distance at the previous comparison.
+ * @param {number|null} distance - The current distance.
+ * @returns {"warmer"|"colder"|null} Whether the user moved closer or further away by at least
+ * WARMTH_THRESHOLD meters, or null if they did not.
+ */
+export function compareWarmth(previousDistance, distance) {
+  if (previousDistance == null || distance == null) return null;
+  if (previousDistance - distance >= WARMTH_THRESHOLD) return "warmer";
+  if (distance - previousDistance >= WARMTH_THRESHOLD) return "colder";
+  return null;
+}
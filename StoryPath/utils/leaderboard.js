@@ -0,0 +1,136 @@
+// utils/leaderboard.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { updateTrackingAnonymity } from "../api/api";
+import { profileStorageKey } from "./profileStorage";
+import { calculateScore } from "./scoring";
+
+// AsyncStorage key, namespaced by profile, holding whether the participant appears anonymously
+const ANONYMOUS_KEY = "leaderboardAnonymous";
+
+// Name shown on leaderboards for participants who opted out
+export const ANONYMOUS_NAME = "Anonymous explorer";
+
+/**
+ * Returns whether a profile appears anonymously on leaderboards.
+ *
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {Promise<boolean>} True if the profile opted out of showing its username.
+ */
+export async function loadLeaderboardAnonymous(profileId) {
+  return (
+    (await AsyncStorage.getItem(profileStorageKey(ANONYMOUS_KEY, profileId))) === "true"
+  );
+}
+
+/**
+ * Sets whether the active profile appears anonymously on leaderboards. The participant's
+ * tracking records on the backend are updated first, so the choice is only saved once
+ * every leaderboard will follow it; later visits carry it too.
+ *
+ * @param {string} participantUsername - Username of the active profile.
+ * @param {boolean} anonymous - True to hide the username.
+ * @returns {Promise<void>}
+ * @throws {ApiError} If the tracking records cannot be updated.
+ */
+export async function saveLeaderboardAnonymous(participantUsername, anonymous) {
+  await updateTrackingAnonymity(participantUsername, anonymous);
+  await AsyncStorage.setItem(profileStorageKey(ANONYMOUS_KEY), String(anonymous));
+}
+
+/**
+ * Formats a completion time for display.
+ *
+ * @param {number} milliseconds - The time from the first to the last visit.
+ * @returns {string} The time, e.g. "1h 05m", "12m 30s" or "45s".
+ */
+export function formatDuration(milliseconds) {
+  const seconds = Math.round(milliseconds / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Ranks a project's participants from its tracking records. Participants are ranked by the
+ * score the shared scoring engine gives them, then by locations found, then by completion
+ * time; participants equal on all three share a rank.
+ *
+ * Rows do not carry the username of anonymous participants and are keyed by position, so
+ * the screen never renders it. The tracking records themselves still hold every username.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Array} trackingRecords - The project's tracking records.
+ * @param {string} [currentUsername] - Username of the active profile, whose row is marked.
+ * @returns {Array<{key: string, rank: number, name: string, anonymous: boolean,
+ * isCurrentUser: boolean, found: number, points: number, completionTime: number|null}>}
+ * The leaderboard rows, best first. name is ANONYMOUS_NAME for anonymous participants.
+ * completionTime is the time in milliseconds from the participant's first visit to the visit
+ * that unlocked the last location, or null if they have not found every location.
+ */
+export function buildLeaderboard(project, locations, trackingRecords, currentUsername) {
+  const locationIds = new Set(locations.map((loc) => Number(loc.id)));
+  const byParticipant = new Map();
+  for (const record of trackingRecords) {
+    if (!record.participant_username) continue;
+    if (!locationIds.has(Number(record.location_id))) continue;
+    const records = byParticipant.get(record.participant_username) ?? [];
+    records.push(record);
+    byParticipant.set(record.participant_username, records);
+  }
+
+  const rows = [...byParticipant].map(([participantUsername, records]) => {
+    // When each location was first found
+    const firstFound = new Map();
+    for (const record of records) {
+      const id = Number(record.location_id);
+      const time = Date.parse(record.visited_at);
+      if (!firstFound.has(id) || time < firstFound.get(id)) {
+        firstFound.set(id, time);
+      }
+    }
+    const times = [...firstFound.values()].filter(Number.isFinite);
+    const completed =
+      firstFound.size === locationIds.size && times.length === firstFound.size;
+    return {
+      participantUsername,
+      anonymous: records.some((record) => record.leaderboard_anonymous),
+      found: firstFound.size,
+      points: calculateScore(project, locations, records).earned,
+      completionTime: completed
+        ? Math.max(...times) - Math.min(...times)
+        : null,
+    };
+  });
+
+  const byTime = (row) => row.completionTime ?? Infinity;
+  rows.sort(
+    (a, b) =>
+      b.points - a.points ||
+      b.found - a.found ||
+      byTime(a) - byTime(b) ||
+      a.participantUsername.localeCompare(b.participantUsername)
+  );
+
+  let rank = 0;
+  return rows.map((row, index) => {
+    const previous = rows[index - 1];
+    const tied =
+      previous &&
+      previous.points === row.points &&
+      previous.found === row.found &&
+      byTime(previous) === byTime(row);
+    if (!tied) rank = index + 1;
+    const { participantUsername, ...stats } = row;
+    return {
+      ...stats,
+      key: `row-${index}`,
+      rank,
+      name: row.anonymous ? ANONYMOUS_NAME : participantUsername,
+      isCurrentUser: Boolean(currentUsername) && participantUsername === currentUsername,
+    };
+  });
+}
@@ -0,0 +1,60 @@
+// utils/locationContent.js
+
+// Content Security Policy for location content: no scripts in the story itself, and
+// embedded players only in https frames. Images, audio and video may come from anywhere,
+// including media downloaded into an offline pack. The frames run their own scripts, so
+// YouTube or Vimeo embeds still play.
+export const CONTENT_SECURITY_POLICY = [
+  "default-src 'none'",
+  "script-src 'none'",
+  "img-src * data: blob: file:",
+  "media-src * data: blob: file:",
+  "frame-src https:",
+  "style-src 'unsafe-inline' *",
+  "font-src * data:",
+].join("; ");
+
+// URLs the viewer's WebView may load: the injected document (about:blank), offline pack
+// files and https frames. The WebView hands anything else to the system.
+export const ORIGIN_WHITELIST = ["about:*", "file://*", "https://*"];
+
+/**
+ * Wraps a location's HTML content in a complete document with mobile-friendly styling.
+ *
+ * @param {string} html - The location_content HTML fragment.
+ * @returns {string} The full HTML document to load into the WebView.
+ */
+export const buildContentDocument = (html) => `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta http-equiv="Content-Security-Policy" content="${CONTENT_SECURITY_POLICY}" />
+    <style>
+      body { font-family: -apple-system, Roboto, sans-serif; font-size: 16px; color: #333; margin: 0; padding: 8px; }
+      img, video, iframe { max-width: 100%; height: auto; }
+      audio { width: 100%; }
+      iframe { border: 0; aspect-ratio: 16 / 9; width: 100%; }
+    </style>
+  </head>
+  <body>${html || "<p>This location has no content.</p>"}</body>
+</html>`;
+
+/**
+ * Decides whether the viewer's WebView may load a URL. The top frame stays on the injected
+ * document, and embedded frames may only load https pages; any other navigation, such as a
+ * followed link, is left to the caller to open outside the app.
+ *
+ * @param {object} request - The navigation request from the WebView.
+ * @param {string} request.url - The URL being loaded.
+ * @param {boolean} [request.isTopFrame] - Whether the request is for the top frame.
+ * @param {string} [baseUrl] - Base URL the document was loaded with, for offline content.
+ * @returns {boolean} True to allow the load inside the WebView.
+ */
+export function isContentRequestAllowed(request, baseUrl) {
+  if (request.isTopFrame === false) {
+    return /^https:\/\//i.test(request.url);
+  }
+  // The injected document loads as about:blank, or as the base URL of offline content
+  return request.url === "about:blank" || (!!baseUrl && request.url === baseUrl);
+}
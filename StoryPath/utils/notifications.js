@@ -0,0 +1,165 @@
+// utils/notifications.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as Notifications from "expo-notifications";
+
+// Distance in meters within which a "you are near a location" hint is sent by default
+export const DEFAULT_NEARBY_DISTANCE = 200;
+
+// AsyncStorage key holding the nearby hint distance chosen in Settings
+const NEARBY_DISTANCE_KEY = "nearbyNotificationDistance";
+
+// Minimum time between two nearby hints for the same location
+const NEARBY_HINT_INTERVAL = 30 * 60 * 1000;
+
+// When a nearby hint was last sent for each location, so the foreground screen and the
+// background geofences do not repeat it
+const lastNearbyHints = new Map();
+
+// Kinds of notification, stored in each notification's data
+export const NOTIFICATION_UNLOCKED = "unlocked";
+export const NOTIFICATION_NEARBY = "nearby";
+export const NOTIFICATION_COMPLETED = "completed";
+
+// Show notifications as banners even while the app is in the foreground
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+/**
+ * Asks the user for permission to show notifications, if it has not been granted yet.
+ *
+ * @returns {Promise<boolean>} True if notifications may be shown.
+ */
+export async function requestNotificationPermission() {
+  const { status } = await Notifications.getPermissionsAsync();
+  if (status === "granted") return true;
+  const request = await Notifications.requestPermissionsAsync();
+  return request.status === "granted";
+}
+
+/**
+ * Returns the distance within which nearby hints are sent.
+ *
+ * @returns {Promise<number>} The distance in meters; 0 turns nearby hints off.
+ */
+export async function getNearbyDistance() {
+  const saved = await AsyncStorage.getItem(NEARBY_DISTANCE_KEY);
+  return saved === null ? DEFAULT_NEARBY_DISTANCE : Number(saved);
+}
+
+/**
+ * Saves the distance within which nearby hints are sent.
+ *
+ * @param {number|null} distance - The distance in meters, 0 to turn nearby hints off,
+ * or null to restore DEFAULT_NEARBY_DISTANCE.
+ * @returns {Promise<number>} The distance now in effect.
+ */
+export async function saveNearbyDistance(distance) {
+  if (distance === null) {
+    await AsyncStorage.removeItem(NEARBY_DISTANCE_KEY);
+  } else {
+    await AsyncStorage.setItem(NEARBY_DISTANCE_KEY, String(distance));
+  }
+  return getNearbyDistance();
+}
+
+/**
+ * Shows a local notification straight away.
+ *
+ * @param {string} title - The notification title.
+ * @param {string} body - The notification text.
+ * @param {object} data - What the notification is about, used to open it.
+ * @returns {Promise<void>}
+ */
+async function notify(title, body, data) {
+  await Notifications.scheduleNotificationAsync({
+    content: { title, body, data },
+    trigger: null,
+  });
+}
+
+/**
+ * Shows a local notification announcing that a location was unlocked.
+ * Tapping it opens the location's content.
+ *
+ * @param {object} location - The unlocked location.
+ * @param {object} project - The project the location belongs to.
+ * @param {boolean} [online=true] - Whether the device is online, so the visit reaches the backend right away.
+ * @returns {Promise<void>}
+ */
+export async function notifyLocationUnlocked(location, project, online = true) {
+  await notify(
+    "Location Unlocked",
+    online
+      ? `You have unlocked ${location.location_name} in ${project.title}!`
+      : `You have unlocked ${location.location_name} in ${project.title}! Your progress will sync when you are back online.`,
+    {
+      type: NOTIFICATION_UNLOCKED,
+      projectId: project.id,
+      locationId: location.id,
+    }
+  );
+}
+
+/**
+ * Shows a local notification hinting that the user is near a location they have not
+ * unlocked yet. The location is not named, so hidden locations are not given away.
+ * A location is hinted at most once every 30 minutes. Tapping it opens the project.
+ *
+ * @param {object} project - The project the location belongs to.
+ * @param {object} location - The nearby location.
+ * @param {number} distance - The hint distance in meters.
+ * @returns {Promise<void>}
+ */
+export async function notifyNearbyLocation(project, location, distance) {
+  const key = `${project.id}_${location.id}`;
+  if (Date.now() - (lastNearbyHints.get(key) ?? 0) < NEARBY_HINT_INTERVAL) {
+    return;
+  }
+  lastNearbyHints.set(key, Date.now());
+
+  await notify(
+    "Location Nearby",
+    `You are within ${distance} meters of a location in ${project.title}. Keep exploring!`,
+    { type: NOTIFICATION_NEARBY, projectId: project.id }
+  );
+}
+
+/**
+ * Shows a local notification announcing that a project has been completed.
+ * Tapping it opens the project's completion summary.
+ *
+ * @param {object} project - The completed project.
+ * @returns {Promise<void>}
+ */
+export async function notifyProjectCompleted(project) {
+  await notify(
+    "Project Completed",
+    `You have completed ${project.title}! Tap to see your summary.`,
+    { type: NOTIFICATION_COMPLETED, projectId: project.id }
+  );
+}
+
+/**
+ * Returns the screen a tapped notification should open: the project home screen, showing the
+ * unlocked location's content for unlock notifications, or the completion summary for
+ * completion notifications.
+ *
+ * @param {object} data - The data of the tapped notification.
+ * @returns {string|null} The route to open, or null if the notification is not a StoryPath one.
+ */
+export function getNotificationRoute(data) {
+  if (!data?.projectId) return null;
+  if (data.type === NOTIFICATION_COMPLETED) {
+    return `/completion?projectId=${encodeURIComponent(data.projectId)}`;
+  }
+  const route = `/projectHomeScreen?projectId=${encodeURIComponent(data.projectId)}`;
+  return data.type === NOTIFICATION_UNLOCKED && data.locationId
+    ? `${route}&locationId=${encodeURIComponent(data.locationId)}`
+    : route;
+}
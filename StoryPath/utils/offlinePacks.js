@@ -0,0 +1,228 @@
+// utils/offlinePacks.js
+
+import * as FileSystem from "expo-file-system";
+import Constants from "expo-constants";
+import NetInfo from "@react-native-community/netinfo";
+import { getProject, getLocations } from "../api/api";
+import { getPackDirectory, writeOfflinePack } from "../api/offlineStore";
+import { NetworkError, NotFoundError } from "../api/errors";
+import { parsePositionString } from "./proximity";
+
+// Map tile server for offline packs, from the EXPO_PUBLIC_TILE_URL_TEMPLATE environment
+// variable or app.json "extra", e.g. "https://tiles.example.com/{z}/{x}/{y}.png". It must be
+// a provider whose terms allow bulk downloads for offline use, which rules out
+// tile.openstreetmap.org. Without one, packs are downloaded without map tiles.
+export const TILE_URL_TEMPLATE =
+  process.env.EXPO_PUBLIC_TILE_URL_TEMPLATE ||
+  Constants.expoConfig?.extra?.tileUrlTemplate ||
+  "";
+
+// Zoom levels downloaded for the map, and the most tiles one pack may hold
+const TILE_ZOOM_LEVELS = [13, 14, 15, 16, 17];
+const MAX_PACK_TILES = 400;
+
+// Margin in degrees added around the project's locations when downloading tiles
+const REGION_PADDING = 0.005;
+
+// Media URLs in location content: the src of images, audio, video and sources
+const MEDIA_PATTERN = /\bsrc=(["'])(https?:\/\/[^"']+)\1/gi;
+
+/**
+ * Converts a longitude to the x index of the map tile containing it.
+ *
+ * @param {number} longitude - The longitude.
+ * @param {number} zoom - The zoom level.
+ * @returns {number} The tile's x index.
+ */
+function tileX(longitude, zoom) {
+  return Math.floor(((longitude + 180) / 360) * 2 ** zoom);
+}
+
+/**
+ * Converts a latitude to the y index of the map tile containing it.
+ *
+ * @param {number} latitude - The latitude.
+ * @param {number} zoom - The zoom level.
+ * @returns {number} The tile's y index.
+ */
+function tileY(latitude, zoom) {
+  const rad = (latitude * Math.PI) / 180;
+  return Math.floor(
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) *
+      2 ** zoom
+  );
+}
+
+/**
+ * Lists the map tiles covering a project's locations, from the lowest zoom level up,
+ * stopping before MAX_PACK_TILES is exceeded.
+ *
+ * @param {Array} locations - The project's locations.
+ * @returns {Array<{z: number, x: number, y: number}>} The tiles to download.
+ */
+export function getRegionTiles(locations) {
+  const coords = locations
+    .map((loc) => parsePositionString(loc.location_position))
+    .filter((pos) => pos.latitude !== null);
+  if (coords.length === 0) return [];
+
+  const minLat = Math.min(...coords.map((pos) => pos.latitude)) - REGION_PADDING;
+  const maxLat = Math.max(...coords.map((pos) => pos.latitude)) + REGION_PADDING;
+  const minLon = Math.min(...coords.map((pos) => pos.longitude)) - REGION_PADDING;
+  const maxLon = Math.max(...coords.map((pos) => pos.longitude)) + REGION_PADDING;
+
+  const tiles = [];
+  for (const z of TILE_ZOOM_LEVELS) {
+    const zoomTiles = [];
+    for (let x = tileX(minLon, z); x <= tileX(maxLon, z); x++) {
+      for (let y = tileY(maxLat, z); y <= tileY(minLat, z); y++) {
+        zoomTiles.push({ z, x, y });
+      }
+    }
+    if (tiles.length + zoomTiles.length > MAX_PACK_TILES) break;
+    tiles.push(...zoomTiles);
+  }
+  return tiles;
+}
+
+/**
+ * Returns a stable file name for a downloaded media URL.
+ *
+ * @param {string} url - The media URL.
+ * @returns {string} The file name, keeping the URL's extension.
+ */
+function mediaFileName(url) {
+  let hash = 0;
+  for (let i = 0; i < url.length; i++) {
+    hash = (hash * 31 + url.charCodeAt(i)) | 0;
+  }
+  const extension = url.match(/\.(\w{2,5})(?:[?#].*)?$/)?.[1] || "bin";
+  return `media_${(hash >>> 0).toString(36)}.${extension}`;
+}
+
+/**
+ * Downloads a file into app storage.
+ *
+ * @param {string} url - The URL to download.
+ * @param {string} uri - The file to write.
+ * @returns {Promise<number>} The size of the downloaded file in bytes.
+ * @throws Will throw if the server does not return the file.
+ */
+async function downloadFile(url, uri) {
+  await FileSystem.makeDirectoryAsync(uri.slice(0, uri.lastIndexOf("/")), {
+    intermediates: true,
+  });
+  const result = await FileSystem.downloadAsync(url, uri);
+  if (result.status !== 200) {
+    throw new Error(`Download of ${url} failed with status ${result.status}`);
+  }
+  const info = await FileSystem.getInfoAsync(uri, { size: true });
+  return info.size ?? 0;
+}
+
+/**
+ * Downloads the media referenced by the locations' content and points the content at
+ * the downloaded files. Media that fails to download keeps its online URL.
+ *
+ * @param {Array} locations - The project's locations.
+ * @param {string} directory - The pack directory.
+ * @returns {Promise<{locations: Array, size: number, count: number}>} The locations with
+ * rewritten content, and the size and number of the downloaded files.
+ */
+async function downloadMedia(locations, directory) {
+  const downloaded = new Map();
+  let size = 0;
+
+  for (const loc of locations) {
+    for (const [, , url] of (loc.location_content || "").matchAll(
+      MEDIA_PATTERN
+    )) {
+      if (downloaded.has(url)) continue;
+      const uri = `${directory}media/${mediaFileName(url)}`;
+      try {
+        size += await downloadFile(url, uri);
+        downloaded.set(url, uri);
+      } catch (error) {
+        console.warn("Unable to download media for offline use:", error);
+      }
+    }
+  }
+
+  return {
+    locations: locations.map((loc) => ({
+      ...loc,
+      location_content: loc.location_content?.replace(
+        MEDIA_PATTERN,
+        (match, quote, url) =>
+          downloaded.has(url) ? `src=${quote}${downloaded.get(url)}${quote}` : match
+      ),
+    })),
+    size,
+    count: downloaded.size,
+  };
+}
+
+/**
+ * Downloads a project for offline use: the project, its locations, the media in their
+ * content and, when a tile server is configured, the map tiles around them. Downloading
+ * again brings the pack up to date.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {Function} [onProgress] - Called with the fraction of map tiles downloaded, from 0 to 1.
+ * @returns {Promise<object>} The pack summary: projectId, title, size, syncedAt, mediaCount and tileCount.
+ * @throws {NetworkError} If the device is offline.
+ * @throws {NotFoundError} If the project does not exist.
+ * @throws {ApiError} If the project cannot be loaded.
+ */
+export async function downloadOfflinePack(projectId, onProgress) {
+  const network = await NetInfo.fetch();
+  if (network.isConnected === false) {
+    throw new NetworkError("Cannot download an offline pack while offline.");
+  }
+
+  const projectData = await getProject(projectId);
+  if (!projectData || projectData.length === 0) {
+    throw new NotFoundError(`Project with ID ${projectId} not found.`);
+  }
+  const project = projectData[0];
+  const fetchedLocations = await getLocations(projectId);
+
+  const directory = getPackDirectory(projectId);
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+  const media = await downloadMedia(fetchedLocations, directory);
+
+  const tiles = TILE_URL_TEMPLATE ? getRegionTiles(fetchedLocations) : [];
+  let tileSize = 0;
+  let tileCount = 0;
+  let attempted = 0;
+  for (const { z, x, y } of tiles) {
+    const url = TILE_URL_TEMPLATE.replace("{z}", z)
+      .replace("{x}", x)
+      .replace("{y}", y);
+    try {
+      tileSize += await downloadFile(url, `${directory}tiles/${z}/${x}/${y}.png`);
+      tileCount++;
+    } catch (error) {
+      console.warn("Unable to download map tile for offline use:", error);
+    }
+    onProgress?.(++attempted / tiles.length);
+  }
+
+  return writeOfflinePack(project, media.locations, {
+    size: media.size + tileSize,
+    mediaCount: media.count,
+    tileCount,
+  });
+}
+
+/**
+ * Formats a pack size for display.
+ *
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The size, e.g. "3.2 MB".
+ */
+export function formatPackSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,235 @@
+// utils/profileStorage.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system";
+
+// AsyncStorage keys holding the participant profiles and the active profile's ID
+const PROFILES_KEY = "userProfiles";
+const ACTIVE_PROFILE_KEY = "activeProfileId";
+// Key used before multiple profiles were supported
+const LEGACY_PROFILE_KEY = "userProfile";
+// ID of the profile migrated from LEGACY_PROFILE_KEY, so an interrupted migration is
+// finished on the next launch instead of adding the profile twice
+const LEGACY_PROFILE_ID = "legacy";
+// Prefix of the progress keys saved before profiles were supported
+const LEGACY_PROGRESS_PREFIX = "visitedLocations_";
+
+// Directory in app storage holding copied avatar images
+const AVATAR_DIRECTORY = `${FileSystem.documentDirectory}avatars/`;
+
+// ID of the active profile, used to namespace per-participant storage keys
+let activeProfileId = null;
+
+/**
+ * Namespaces an AsyncStorage key by a profile, so each participant on a shared device
+ * keeps their own progress. Without a profile the key is returned unchanged.
+ *
+ * @param {string} key - The key to namespace, e.g. "visitedLocations_3".
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {string} The namespaced key, e.g. "profile_ab12_visitedLocations_3".
+ */
+export function profileStorageKey(key, profileId = activeProfileId) {
+  return profileId ? `profile_${profileId}_${key}` : key;
+}
+
+/**
+ * Returns the ID of the active profile.
+ *
+ * @returns {string|null} The active profile's ID, or null if there is none.
+ */
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+/**
+ * Generates a unique profile ID.
+ *
+ * @returns {string} The new ID.
+ */
+function generateProfileId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Reads the saved profile list.
+ *
+ * @returns {Promise<Array>} The saved profiles.
+ */
+async function readProfiles() {
+  const data = await AsyncStorage.getItem(PROFILES_KEY);
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Writes the profile list.
+ *
+ * @param {Array} profiles - The profiles to save.
+ * @returns {Promise<void>}
+ */
+async function writeProfiles(profiles) {
+  await AsyncStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+/**
+ * Moves the progress saved under un-namespaced keys, from before profiles were supported,
+ * into a profile's namespace. Each key is copied before it is removed, so running the move
+ * again completes an interrupted one.
+ *
+ * @param {string} id - The ID of the profile receiving the progress.
+ * @returns {Promise<void>}
+ */
+async function moveLegacyProgress(id) {
+  const keys = await AsyncStorage.getAllKeys();
+  for (const key of keys.filter((k) => k.startsWith(LEGACY_PROGRESS_PREFIX))) {
+    const value = await AsyncStorage.getItem(key);
+    await AsyncStorage.setItem(`profile_${id}_${key}`, value);
+    await AsyncStorage.removeItem(key);
+  }
+}
+
+/**
+ * Moves a single saved profile from before multiple profiles were supported into
+ * the profile list, together with the progress saved under un-namespaced keys. Progress
+ * saved without any profile stays in place until the first profile is created (see
+ * saveProfile). Every step can be repeated, so a migration interrupted by the app being
+ * closed is finished on the next launch.
+ *
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyProfile() {
+  const profiles = await readProfiles();
+  const data = await AsyncStorage.getItem(LEGACY_PROFILE_KEY);
+  if (data && !profiles.some((p) => p.id === LEGACY_PROFILE_ID)) {
+    profiles.push({ ...JSON.parse(data), id: LEGACY_PROFILE_ID });
+    await writeProfiles(profiles);
+    await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, LEGACY_PROFILE_ID);
+  }
+  await AsyncStorage.removeItem(LEGACY_PROFILE_KEY);
+
+  if (profiles.length > 0) await moveLegacyProgress(profiles[0].id);
+}
+
+/**
+ * Loads the participant profiles saved on the device and activates the saved active profile.
+ *
+ * @returns {Promise<{profiles: Array, activeProfileId: string|null}>} The saved profiles,
+ * each with id, username and avatarUri, and the active profile's ID.
+ */
+export async function loadProfiles() {
+  await migrateLegacyProfile();
+
+  const profiles = await readProfiles();
+  // Drop avatars whose files have been removed from app storage
+  for (const profile of profiles) {
+    if (profile.avatarUri) {
+      const info = await FileSystem.getInfoAsync(profile.avatarUri);
+      if (!info.exists) profile.avatarUri = null;
+    }
+  }
+
+  const savedId = await AsyncStorage.getItem(ACTIVE_PROFILE_KEY);
+  activeProfileId = profiles.some((p) => p.id === savedId)
+    ? savedId
+    : profiles[0]?.id ?? null;
+  return { profiles, activeProfileId };
+}
+
+/**
+ * Makes a profile the active one.
+ *
+ * @param {string} id - The ID of the profile to activate.
+ * @returns {Promise<void>}
+ */
+export async function setActiveProfile(id) {
+  activeProfileId = id;
+  await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, id);
+}
+
+/**
+ * Copies a picked avatar image into app storage, so it survives the image
+ * picker's cache being cleared.
+ *
+ * @param {string} uri - URI of the picked image.
+ * @returns {Promise<string>} URI of the copy in app storage.
+ */
+async function copyAvatar(uri) {
+  if (uri.startsWith(AVATAR_DIRECTORY)) return uri;
+
+  await FileSystem.makeDirectoryAsync(AVATAR_DIRECTORY, {
+    intermediates: true,
+  });
+  const extension = uri.match(/\.(\w+)(?:\?.*)?$/)?.[1] || "jpg";
+  const destination = `${AVATAR_DIRECTORY}avatar_${Date.now()}.${extension}`;
+  await FileSystem.copyAsync({ from: uri, to: destination });
+  return destination;
+}
+
+/**
+ * Saves a participant profile on the device, copying the avatar into app storage.
+ * A profile without an ID is created and made active; otherwise the existing
+ * profile is updated and its replaced avatar deleted. The first profile created takes
+ * over the progress saved before profiles were supported.
+ *
+ * @param {object} profile - The profile to save.
+ * @param {string} [profile.id] - The ID of the profile to update.
+ * @param {string} profile.username - The participant's username.
+ * @param {string|null} profile.avatarUri - URI of the selected avatar image.
+ * @returns {Promise<{id: string, username: string, avatarUri: string|null}>} The saved profile.
+ */
+export async function saveProfile({ id, username, avatarUri }) {
+  const profiles = await readProfiles();
+  const previous = profiles.find((p) => p.id === id);
+  const storedAvatarUri = avatarUri ? await copyAvatar(avatarUri) : null;
+
+  const profile = {
+    id: previous ? id : generateProfileId(),
+    username: username.trim(),
+    avatarUri: storedAvatarUri,
+  };
+  await writeProfiles(
+    previous
+      ? profiles.map((p) => (p.id === id ? profile : p))
+      : [...profiles, profile]
+  );
+
+  if (!previous) {
+    if (profiles.length === 0) await moveLegacyProgress(profile.id);
+    await setActiveProfile(profile.id);
+  } else if (previous.avatarUri && previous.avatarUri !== storedAvatarUri) {
+    await FileSystem.deleteAsync(previous.avatarUri, { idempotent: true });
+  }
+  return profile;
+}
+
+/**
+ * Removes a participant profile, its avatar and all of its namespaced progress from the device.
+ * If it was the active profile, the first remaining profile becomes active.
+ *
+ * @param {string} id - The ID of the profile to remove.
+ * @returns {Promise<{profiles: Array, activeProfileId: string|null}>} The remaining profiles
+ * and the active profile's ID.
+ */
+export async function deleteProfile(id) {
+  const profiles = await readProfiles();
+  const removed = profiles.find((p) => p.id === id);
+  const remaining = profiles.filter((p) => p.id !== id);
+  await writeProfiles(remaining);
+
+  const keys = await AsyncStorage.getAllKeys();
+  await AsyncStorage.multiRemove(
+    keys.filter((key) => key.startsWith(`profile_${id}_`))
+  );
+  if (removed?.avatarUri) {
+    await FileSystem.deleteAsync(removed.avatarUri, { idempotent: true });
+  }
+
+  if (activeProfileId === id) {
+    if (remaining.length > 0) {
+      await setActiveProfile(remaining[0].id);
+    } else {
+      activeProfileId = null;
+      await AsyncStorage.removeItem(ACTIVE_PROFILE_KEY);
+    }
+  }
+  return { profiles: remaining, activeProfileId };
+}
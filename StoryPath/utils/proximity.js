@@ -0,0 +1,94 @@
+// utils/proximity.js
+
+import { getDistance } from "geolib";
+import * as Location from "expo-location";
+
+// Unlock radius in meters used when neither the location nor the project sets one
+export const DEFAULT_UNLOCK_RADIUS = 50;
+
+// GPS readings less accurate than this (in meters) are ignored
+export const MAX_READING_ACCURACY = 50;
+
+// Options for Location.watchPositionAsync, shared by every screen that tracks the user
+export const LOCATION_WATCH_OPTIONS = {
+  accuracy: Location.Accuracy.Highest,
+  distanceInterval: 10,
+};
+
+/**
+ * Parses a position string into an object containing latitude and longitude as numbers.
+ *
+ * @param {string} positionString - A position string in the format "(latitude, longitude)".
+ * @returns {{latitude: number | null, longitude: number | null}} An object with latitude and longitude.
+ * Returns null values if the input string is invalid or empty.
+ */
+export function parsePositionString(positionString) {
+  if (!positionString) return { latitude: null, longitude: null };
+  const coords = positionString.replace(/[()]/g, "").split(",").map(Number);
+  if (coords.length !== 2 || coords.some((n) => !Number.isFinite(n))) {
+    return { latitude: null, longitude: null };
+  }
+  return { latitude: coords[0], longitude: coords[1] };
+}
+
+/**
+ * Returns the unlock radius of a location: its own unlock_radius, else the project's
+ * unlock_radius, else DEFAULT_UNLOCK_RADIUS.
+ *
+ * @param {object} location - The location record.
+ * @param {object} [project] - The project the location belongs to.
+ * @returns {number} The radius in meters.
+ */
+export function getUnlockRadius(location, project) {
+  for (const radius of [location?.unlock_radius, project?.unlock_radius]) {
+    if (radius !== undefined && radius !== null && Number(radius) > 0) {
+      return Number(radius);
+    }
+  }
+  return DEFAULT_UNLOCK_RADIUS;
+}
+
+/**
+ * Checks whether a GPS reading is accurate enough to decide on unlocking.
+ * Readings that do not report their accuracy are accepted.
+ *
+ * @param {object} coords - The coordinates from expo-location.
+ * @param {number} [coords.accuracy] - The reading's accuracy radius in meters.
+ * @returns {boolean} True if the reading can be used.
+ */
+export function isReliableReading(coords) {
+  if (!coords) return false;
+  return coords.accuracy == null || coords.accuracy <= MAX_READING_ACCURACY;
+}
+
+/**
+ * Calculates the distance from the user to a location.
+ *
+ * @param {object} coords - The user's coordinates.
+ * @param {object} location - A location with parsed latitude and longitude.
+ * @returns {number|null} The distance in meters, or null if the location has no position.
+ */
+export function getDistanceTo(coords, location) {
+  if (!coords || location.latitude == null || location.longitude == null) {
+    return null;
+  }
+  return getDistance(
+    { latitude: coords.latitude, longitude: coords.longitude },
+    { latitude: location.latitude, longitude: location.longitude }
+  );
+}
+
+/**
+ * Decides whether the user is inside a location's unlock radius. This is the single
+ * check used both to unlock locations and to draw the radius on the map.
+ *
+ * @param {object} coords - The user's coordinates, with optional accuracy.
+ * @param {object} location - A location with parsed latitude and longitude.
+ * @param {object} [project] - The project the location belongs to.
+ * @returns {boolean} True if the reading is reliable and within the radius.
+ */
+export function isWithinUnlockRadius(coords, location, project) {
+  if (!isReliableReading(coords)) return false;
+  const distance = getDistanceTo(coords, location);
+  return distance !== null && distance <= getUnlockRadius(location, project);
+}
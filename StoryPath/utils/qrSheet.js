@@ -0,0 +1,121 @@
+// utils/qrSheet.js
+
+import QRCode from "qrcode";
+import * as Print from "expo-print";
+import * as Sharing from "expo-sharing";
+import { getProject, getLocations } from "../api/api";
+import { NotFoundError } from "../api/errors";
+import { buildProjectLink } from "./deepLink";
+import { canUnlockByQr } from "./triggerType";
+import { sortByOrder } from "./sequence";
+
+/**
+ * Escapes text for use in HTML.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the printable HTML sheet of QR codes for a project's locations. Each location that
+ * can be unlocked by scanning gets a card with its QR code, label, name and an instruction line.
+ * The label numbers the location by its order in the project, so locations that are not
+ * unlocked by scanning leave gaps.
+ * The codes hold StoryPath location links, which the QR scanner unlocks and the phone's camera
+ * opens in the app.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @returns {Promise<{html: string, count: number}>} The sheet, and the number of codes on it.
+ */
+export async function buildQrSheetHtml(project, locations) {
+  const ordered = sortByOrder(locations);
+  const scannable = ordered.filter(canUnlockByQr);
+
+  const cards = await Promise.all(
+    scannable.map(async (location) => {
+      // Number the card as the location is numbered in the project, not on the sheet
+      const order = Number(location.location_order);
+      const number =
+        location.location_order != null && Number.isFinite(order)
+          ? order
+          : ordered.indexOf(location) + 1;
+      const svg = await QRCode.toString(
+        buildProjectLink(project.id, location.id),
+        { type: "svg", margin: 1, errorCorrectionLevel: "M" }
+      );
+      return `
+        <div class="card">
+          <div class="label">Location ${number}</div>
+          <div class="code">${svg}</div>
+          <div class="name">${escapeHtml(location.location_name)}</div>
+          <div class="instruction">Scan with the StoryPath app to unlock this location.</div>
+        </div>`;
+    })
+  );
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <style>
+          body { font-family: Helvetica, Arial, sans-serif; margin: 24px; color: #333; }
+          h1 { color: #ff6f61; font-size: 22px; margin: 0 0 16px; }
+          .grid { display: flex; flex-wrap: wrap; gap: 16px; }
+          .card { width: calc(50% - 8px); box-sizing: border-box; border: 1px dashed #999;
+                  border-radius: 8px; padding: 16px; text-align: center; page-break-inside: avoid; }
+          .label { font-size: 12px; color: #777; text-transform: uppercase; letter-spacing: 1px; }
+          .code svg { width: 200px; height: 200px; margin: 8px auto; display: block; }
+          .name { font-size: 18px; font-weight: bold; margin-top: 4px; }
+          .instruction { font-size: 12px; color: #555; margin-top: 6px; }
+        </style>
+      </head>
+      <body>
+        <h1>${escapeHtml(project.title)}</h1>
+        <div class="grid">${cards.join("")}</div>
+      </body>
+    </html>`;
+
+  return { html, count: cards.length };
+}
+
+/**
+ * Exports a project's QR code sheet as a PDF and opens the system share sheet for it,
+ * so it can be printed, saved or sent.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<number>} The number of QR codes on the sheet; 0 if no location can be
+ * unlocked by scanning, in which case nothing is exported.
+ * @throws {NotFoundError} If the project does not exist.
+ * @throws Will throw if the PDF cannot be created or sharing is not available.
+ */
+export async function shareQrSheet(projectId) {
+  const projectData = await getProject(projectId);
+  if (!projectData || projectData.length === 0) {
+    throw new NotFoundError(`Project with ID ${projectId} not found.`);
+  }
+  const project = projectData[0];
+  const locations = await getLocations(projectId);
+
+  const { html, count } = await buildQrSheetHtml(project, locations);
+  if (count === 0) return 0;
+
+  const { uri } = await Print.printToFileAsync({ html });
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device.");
+  }
+  await Sharing.shareAsync(uri, {
+    mimeType: "application/pdf",
+    UTI: "com.adobe.pdf",
+    dialogTitle: `QR codes for ${project.title}`,
+  });
+  return count;
+}
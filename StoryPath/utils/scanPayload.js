@@ -0,0 +1,82 @@
+// utils/scanPayload.js
+
+import { decodeBase64 } from "./base64";
+import { parseDeepLink } from "./deepLink";
+
+/**
+ * Decodes the data read from a StoryPath QR code into project and location IDs.
+ *
+ * Supported payload formats:
+ * - A bare location ID, e.g. "12".
+ * - A JSON object, e.g. '{"project_id": 3, "location_id": 12}'.
+ * - A StoryPath URL, e.g. "storypath://project/3/location/12" or
+ *   "https://<LINK_HOST>/project/3/location/12".
+ * - An encoded StoryPath URL, e.g. "storypath://unlock?code=<base64 of '3:12'>".
+ *
+ * None of the formats are signed: the encoded URL only hides the IDs from a casual look,
+ * and anyone who knows the format can make a code for any location. A code is a shortcut
+ * to a location, not proof that the participant was there.
+ *
+ * @param {string} data - The raw data contained in the scanned QR code.
+ * @returns {{projectId: number|null, locationId: number} | null} The decoded IDs,
+ * or null if the data is not a StoryPath code. projectId is null when the code
+ * only names a location.
+ */
+export function parseScanPayload(data) {
+  if (typeof data !== "string") return null;
+  const text = data.trim();
+  if (!text) return null;
+
+  // Bare location ID
+  if (/^\d+$/.test(text)) {
+    return buildPayload(null, text);
+  }
+
+  // JSON payload
+  if (text.startsWith("{")) {
+    try {
+      const json = JSON.parse(text);
+      return buildPayload(json.project_id, json.location_id);
+    } catch {
+      return null;
+    }
+  }
+
+  // Encoded StoryPath URL
+  const encoded = text.match(/^storypath:\/\/unlock\?code=([A-Za-z0-9+/=_-]+)$/i);
+  if (encoded) {
+    try {
+      const [projectId, locationId] = decodeBase64(encoded[1]).split(":");
+      return buildPayload(projectId, locationId);
+    } catch {
+      return null;
+    }
+  }
+
+  // Plain StoryPath URL (custom scheme or web link)
+  const link = parseDeepLink(text);
+  if (link?.locationId) {
+    return buildPayload(link.projectId, link.locationId);
+  }
+
+  return null;
+}
+
+/**
+ * Builds a payload object from raw ID values, rejecting anything that is not a positive integer.
+ *
+ * @param {*} projectId - The raw project ID, or undefined if the code has none.
+ * @param {*} locationId - The raw location ID.
+ * @returns {{projectId: number|null, locationId: number} | null} The payload, or null if invalid.
+ */
+function buildPayload(projectId, locationId) {
+  const location = Number(locationId);
+  if (!Number.isInteger(location) || location <= 0) return null;
+
+  if (projectId === undefined || projectId === null || projectId === "") {
+    return { projectId: null, locationId: location };
+  }
+  const project = Number(projectId);
+  if (!Number.isInteger(project) || project <= 0) return null;
+  return { projectId: project, locationId: location };
+}
@@ -0,0 +1,133 @@
+// utils/scoring.js
+
+import { sortByOrder } from "./sequence";
+
+// participant_scoring values, lower-cased
+export const SCORING_POINTS = "points";
+export const SCORING_LOCATIONS_ENTERED = "number of locations entered";
+export const SCORING_SEQUENCE = "sequence";
+export const SCORING_NOT_SCORED = "not scored";
+
+const SCORING_MODES = [
+  SCORING_POINTS,
+  SCORING_LOCATIONS_ENTERED,
+  SCORING_SEQUENCE,
+  SCORING_NOT_SCORED,
+];
+
+// Unknown modes already reported, so each is only logged once
+const warnedModes = new Set();
+
+/**
+ * Returns the scoring mode of a project. Unknown or missing modes fall back to
+ * counting the locations entered, so participants still see their progress.
+ *
+ * @param {object} project - The project record.
+ * @param {string} [project.participant_scoring] - The project's scoring type.
+ * @returns {string} One of the SCORING_* modes.
+ */
+export function getScoringMode(project) {
+  const mode = (project?.participant_scoring || "").trim().toLowerCase();
+  if (SCORING_MODES.includes(mode)) return mode;
+
+  if (!warnedModes.has(mode)) {
+    warnedModes.add(mode);
+    console.warn(
+      "Unknown participant_scoring type:",
+      project?.participant_scoring
+    );
+  }
+  return SCORING_LOCATIONS_ENTERED;
+}
+
+/**
+ * Collects the IDs of visited locations from a visit history.
+ *
+ * @param {Iterable<number|object>} visits - Location IDs, or visit records with a
+ * locationId or location_id field.
+ * @returns {Set<number>} The visited location IDs.
+ */
+function toVisitedIds(visits) {
+  const ids = new Set();
+  for (const visit of visits || []) {
+    const id =
+      typeof visit === "object" && visit !== null
+        ? visit.locationId ?? visit.location_id
+        : visit;
+    if (id !== undefined && id !== null) ids.add(Number(id));
+  }
+  return ids;
+}
+
+/**
+ * Calculates a participant's score in a project.
+ *
+ * - "points": each visited location earns its score_points.
+ * - "number of locations entered": each visited location earns 1.
+ * - "sequence": each location earns 1, but only while unlocked in order; locations
+ *   after the first one not yet unlocked earn nothing.
+ * - "not scored": nothing is earned or possible.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Iterable<number|object>} visits - The participant's visit history: location IDs,
+ * or visit records with a locationId or location_id field.
+ * @returns {{mode: string, earned: number, possible: number, breakdown: Array<{locationId: number,
+ * visited: boolean, earned: number, possible: number}>}} The score, with a per-location breakdown.
+ */
+export function calculateScore(project, locations, visits) {
+  const mode = getScoringMode(project);
+  const visited = toVisitedIds(visits);
+  const ordered = mode === SCORING_SEQUENCE ? sortByOrder(locations) : locations;
+
+  let inSequence = true;
+  const breakdown = ordered.map((loc) => {
+    const isVisited = visited.has(Number(loc.id));
+    let possible;
+    let earned;
+
+    switch (mode) {
+      case SCORING_POINTS:
+        possible = Number(loc.score_points) || 0;
+        earned = isVisited ? possible : 0;
+        break;
+      case SCORING_SEQUENCE:
+        possible = 1;
+        inSequence = inSequence && isVisited;
+        earned = inSequence ? 1 : 0;
+        break;
+      case SCORING_NOT_SCORED:
+        possible = 0;
+        earned = 0;
+        break;
+      default:
+        possible = 1;
+        earned = isVisited ? 1 : 0;
+    }
+    return { locationId: loc.id, visited: isVisited, earned, possible };
+  });
+
+  return {
+    mode,
+    earned: breakdown.reduce((sum, item) => sum + item.earned, 0),
+    possible: breakdown.reduce((sum, item) => sum + item.possible, 0),
+    breakdown,
+  };
+}
+
+/**
+ * Returns whether a participant has completed a project: every location is visited,
+ * or every possible point is earned.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Iterable<number|object>} visits - The participant's visit history, as for calculateScore.
+ * @returns {boolean} True once the project is complete.
+ */
+export function isProjectComplete(project, locations, visits) {
+  if (!project || !locations || locations.length === 0) return false;
+  const visited = toVisitedIds(visits);
+  if (locations.every((loc) => visited.has(Number(loc.id)))) return true;
+  const score = calculateScore(project, locations, visited);
+  return score.possible > 0 && score.earned >= score.possible;
+}
@@ -0,0 +1,57 @@
+// utils/sequence.js
+
+/**
+ * Checks whether a project uses "sequence" scoring, where locations must be
+ * unlocked in their configured order.
+ *
+ * @param {object} project - The project record.
+ * @param {string} [project.participant_scoring] - The project's scoring type.
+ * @returns {boolean} True for sequence projects.
+ */
+export function isSequenceProject(project) {
+  return (project?.participant_scoring || "").toLowerCase() === "sequence";
+}
+
+/**
+ * Sorts locations by their configured order. Locations without a location_order
+ * come last, and ties are broken by ID so the order is stable.
+ *
+ * @param {Array} locations - The location records.
+ * @returns {Array} A new, sorted array of locations.
+ */
+export function sortByOrder(locations) {
+  const order = (loc) =>
+    loc.location_order == null || !Number.isFinite(Number(loc.location_order))
+      ? Infinity
+      : Number(loc.location_order);
+  return [...locations].sort((a, b) => order(a) - order(b) || a.id - b.id);
+}
+
+/**
+ * Finds the location a participant must unlock next in a sequence project.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Set<number>} visited - IDs of the locations already unlocked.
+ * @returns {object|null} The next location, or null if the project is not a
+ * sequence project or every location is unlocked.
+ */
+export function getNextInSequence(project, locations, visited) {
+  if (!isSequenceProject(project)) return null;
+  return sortByOrder(locations).find((loc) => !visited.has(loc.id)) || null;
+}
+
+/**
+ * Checks whether a location may be unlocked now. In a sequence project only the
+ * next location in order may be unlocked; other projects allow any order.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Set<number>} visited - IDs of the locations already unlocked.
+ * @param {object} location - The location the participant is trying to unlock.
+ * @returns {boolean} True if the location may be unlocked.
+ */
+export function canUnlockInSequence(project, locations, visited, location) {
+  if (!isSequenceProject(project)) return true;
+  return getNextInSequence(project, locations, visited)?.id === location.id;
+}
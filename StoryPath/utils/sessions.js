@@ -0,0 +1,171 @@
+// utils/sessions.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { profileStorageKey } from "./profileStorage";
+
+// Session states
+export const SESSION_NOT_STARTED = "not started";
+export const SESSION_ACTIVE = "active";
+export const SESSION_FINISHED = "finished";
+export const SESSION_EXPIRED = "expired";
+
+/**
+ * Returns the AsyncStorage key holding a profile's play session in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {string} The namespaced key.
+ */
+function sessionKey(projectId, profileId) {
+  return profileStorageKey(`session_${projectId}`, profileId);
+}
+
+/**
+ * Returns a project's optional time limit.
+ *
+ * @param {object} project - The project record.
+ * @param {number} [project.time_limit_minutes] - The time limit in minutes, if the project has one.
+ * @returns {number|null} The time limit in milliseconds, or null if the project is not timed.
+ */
+export function getTimeLimit(project) {
+  const minutes = Number(project?.time_limit_minutes);
+  return minutes > 0 ? minutes * 60 * 1000 : null;
+}
+
+/**
+ * Loads a profile's play session in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {Promise<{startedAt: string, finishedAt: string|null}|null>} The session, or null
+ * if it has not been started.
+ */
+export async function loadSession(projectId, profileId) {
+  const data = await AsyncStorage.getItem(sessionKey(projectId, profileId));
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Starts a play session in a project now.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<{startedAt: string, finishedAt: null}>} The new session.
+ */
+export async function startSession(projectId) {
+  const session = { startedAt: new Date().toISOString(), finishedAt: null };
+  await AsyncStorage.setItem(sessionKey(projectId), JSON.stringify(session));
+  return session;
+}
+
+/**
+ * Finishes the play session in a project now. A session whose time limit has run out
+ * is finished at its deadline instead.
+ *
+ * @param {object} project - The project record.
+ * @returns {Promise<{startedAt: string, finishedAt: string}|null>} The finished session, or null
+ * if it had not been started.
+ */
+export async function finishSession(project) {
+  const session = await loadSession(project.id);
+  if (!session || session.finishedAt) return session;
+  const deadline = getDeadline(project, session);
+  const finished = {
+    ...session,
+    finishedAt: new Date(
+      deadline !== null ? Math.min(Date.now(), deadline) : Date.now()
+    ).toISOString(),
+  };
+  await AsyncStorage.setItem(sessionKey(project.id), JSON.stringify(finished));
+  return finished;
+}
+
+/**
+ * Clears the active profile's play session in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<void>}
+ */
+export async function clearSession(projectId) {
+  await AsyncStorage.removeItem(sessionKey(projectId));
+}
+
+/**
+ * Returns when a session's time runs out.
+ *
+ * @param {object} project - The project record.
+ * @param {object|null} session - The session.
+ * @returns {number|null} The deadline as a timestamp, or null if there is none.
+ */
+export function getDeadline(project, session) {
+  const limit = getTimeLimit(project);
+  if (!session || limit === null) return null;
+  return Date.parse(session.startedAt) + limit;
+}
+
+/**
+ * Returns the state of a session: not started, active, finished by the participant,
+ * or expired because its time limit ran out.
+ *
+ * @param {object} project - The project record.
+ * @param {object|null} session - The session.
+ * @param {number} [now] - The current time, as a timestamp.
+ * @returns {string} One of the SESSION_* states.
+ */
+export function getSessionStatus(project, session, now = Date.now()) {
+  if (!session) return SESSION_NOT_STARTED;
+  const deadline = getDeadline(project, session);
+  if (session.finishedAt) {
+    return deadline !== null && Date.parse(session.finishedAt) >= deadline
+      ? SESSION_EXPIRED
+      : SESSION_FINISHED;
+  }
+  return deadline !== null && now >= deadline ? SESSION_EXPIRED : SESSION_ACTIVE;
+}
+
+/**
+ * Returns whether locations can be unlocked: during an active session, or before the first
+ * visit to an untimed project, which starts its session.
+ *
+ * @param {object} project - The project record.
+ * @param {object|null} session - The session.
+ * @param {number} [now] - The current time, as a timestamp.
+ * @returns {boolean} True if a visit would be recorded.
+ */
+export function canUnlockInSession(project, session, now = Date.now()) {
+  const status = getSessionStatus(project, session, now);
+  return (
+    status === SESSION_ACTIVE ||
+    (status === SESSION_NOT_STARTED && getTimeLimit(project) === null)
+  );
+}
+
+/**
+ * Returns the time played in a session, which stops when the session is finished or its
+ * time limit runs out.
+ *
+ * @param {object} project - The project record.
+ * @param {object|null} session - The session.
+ * @param {number} [now] - The current time, as a timestamp.
+ * @returns {number} The elapsed time in milliseconds.
+ */
+export function getElapsedTime(project, session, now = Date.now()) {
+  if (!session) return 0;
+  const deadline = getDeadline(project, session);
+  let end = session.finishedAt ? Date.parse(session.finishedAt) : now;
+  if (deadline !== null) end = Math.min(end, deadline);
+  return Math.max(0, end - Date.parse(session.startedAt));
+}
+
+/**
+ * Returns the time left in a timed session.
+ *
+ * @param {object} project - The project record.
+ * @param {object|null} session - The session.
+ * @param {number} [now] - The current time, as a timestamp.
+ * @returns {number|null} The remaining time in milliseconds, or null if the project is not timed.
+ */
+export function getRemainingTime(project, session, now = Date.now()) {
+  const limit = getTimeLimit(project);
+  if (limit === null) return null;
+  return Math.max(0, limit - getElapsedTime(project, session, now));
+}
@@ -0,0 +1,62 @@
+// utils/triggerType.js
+
+// location_trigger_type values used by the StoryPath backend
+export const TRIGGER_LOCATION_ENTRY = "Location entry";
+export const TRIGGER_QR_CODE = "QR code scan";
+export const TRIGGER_BOTH = "Both location entry and QR code scan";
+
+// Methods by which a participant unlocks a location, recorded with each visit
+export const UNLOCK_METHOD_GPS = "gps";
+export const UNLOCK_METHOD_QR = "qr";
+
+/**
+ * Normalises a location's trigger type. Locations with a missing or unrecognised
+ * trigger type accept both unlock methods, matching the app's original behaviour.
+ *
+ * @param {object} location - The location record.
+ * @param {string} [location.location_trigger_type] - The configured trigger type.
+ * @returns {string} One of TRIGGER_LOCATION_ENTRY, TRIGGER_QR_CODE or TRIGGER_BOTH.
+ */
+export function getTriggerType(location) {
+  const type = (location?.location_trigger_type || "").toLowerCase();
+  if (type === TRIGGER_LOCATION_ENTRY.toLowerCase()) return TRIGGER_LOCATION_ENTRY;
+  if (type === TRIGGER_QR_CODE.toLowerCase()) return TRIGGER_QR_CODE;
+  return TRIGGER_BOTH;
+}
+
+/**
+ * Checks whether a location can be unlocked by walking into its radius.
+ *
+ * @param {object} location - The location record.
+ * @returns {boolean} True if GPS proximity unlocks the location.
+ */
+export function canUnlockByGps(location) {
+  return getTriggerType(location) !== TRIGGER_QR_CODE;
+}
+
+/**
+ * Checks whether a location can be unlocked by scanning its QR code.
+ *
+ * @param {object} location - The location record.
+ * @returns {boolean} True if a QR code scan unlocks the location.
+ */
+export function canUnlockByQr(location) {
+  return getTriggerType(location) !== TRIGGER_LOCATION_ENTRY;
+}
+
+/**
+ * Returns a short, user-facing description of how a location is unlocked.
+ *
+ * @param {object} location - The location record.
+ * @returns {string} The description, e.g. "Scan QR code".
+ */
+export function describeTrigger(location) {
+  switch (getTriggerType(location)) {
+    case TRIGGER_LOCATION_ENTRY:
+      return "Visit location";
+    case TRIGGER_QR_CODE:
+      return "Scan QR code";
+    default:
+      return "Visit location or scan QR code";
+  }
+}
@@ -0,0 +1,83 @@
+// utils/visibility.js
+
+import { isSequenceProject, getNextInSequence } from "./sequence";
+
+// homescreen_display value that reveals every location to participants
+export const DISPLAY_ALL_LOCATIONS = "Display all locations";
+// homescreen_display value that shows only the project's initial clue
+export const DISPLAY_INITIAL_CLUE = "Display initial clue";
+
+/**
+ * Checks whether a location must be kept hidden from the participant, so the hunt is
+ * not given away. Visited locations are never hidden. Unvisited locations are hidden
+ * in sequence projects, which reveal only the next clue, and in projects that do not
+ * display all locations.
+ *
+ * @param {object} project - The project record.
+ * @param {object} location - The location record.
+ * @param {Set<number>} visited - IDs of the locations already visited.
+ * @returns {boolean} True if the location's position and name must not be shown.
+ */
+export function isHiddenLocation(project, location, visited) {
+  if (visited.has(location.id)) return false;
+  return (
+    isSequenceProject(project) ||
+    project?.homescreen_display !== DISPLAY_ALL_LOCATIONS
+  );
+}
+
+// How a location is drawn on the map
+export const MAP_PIN = "pin";
+export const MAP_AREA = "area";
+export const MAP_NONE = "none";
+
+// Smallest radius in meters of the fuzzy area drawn around a hidden location
+export const FUZZY_AREA_RADIUS = 150;
+
+/**
+ * Decides how a location is drawn on the map. Locations that are not hidden get an exact
+ * pin. Hidden locations are shown as a fuzzy area; in a sequence project only the next
+ * location gets one and the others are not drawn at all.
+ *
+ * @param {object} project - The project record.
+ * @param {Array} locations - The project's locations.
+ * @param {Set<number>} visited - IDs of the locations already visited.
+ * @param {object} location - The location to draw.
+ * @returns {string} MAP_PIN, MAP_AREA or MAP_NONE.
+ */
+export function getMapDisplay(project, locations, visited, location) {
+  if (!isHiddenLocation(project, location, visited)) return MAP_PIN;
+  if (!isSequenceProject(project)) return MAP_AREA;
+  return getNextInSequence(project, locations, visited)?.id === location.id
+    ? MAP_AREA
+    : MAP_NONE;
+}
+
+// Meters per degree of latitude, used to lay the fuzzy area grid over the map
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Calculates the fuzzy area drawn for a hidden location. The area is larger than the
+ * unlock radius and centered on the cell of a fixed map grid that contains the location,
+ * so every location in the same cell gets the same area and the exact position cannot be
+ * worked out from the map. The location always lies inside the area.
+ *
+ * @param {object} location - A location with parsed latitude and longitude.
+ * @param {number} unlockRadius - The location's unlock radius in meters.
+ * @returns {{center: {latitude: number, longitude: number}, radius: number}} The area.
+ */
+export function getFuzzyArea(location, unlockRadius) {
+  const radius = Math.max(FUZZY_AREA_RADIUS, unlockRadius * 3);
+  // Cells as wide as the radius keep their corners (at most 0.71 of a cell away) inside it
+  const latitudeStep = radius / METERS_PER_DEGREE;
+  const latitude =
+    (Math.floor(location.latitude / latitudeStep) + 0.5) * latitudeStep;
+  const longitudeStep =
+    radius / (METERS_PER_DEGREE * Math.cos((latitude * Math.PI) / 180));
+  const longitude =
+    (Math.floor(location.longitude / longitudeStep) + 0.5) * longitudeStep;
+  return {
+    center: { latitude, longitude },
+    radius,
+  };
+}
@@ -0,0 +1,196 @@
+// utils/visits.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import NetInfo from "@react-native-community/netinfo";
+import { buildTrackingRecord } from "../api/api";
+import { enqueueTracking } from "../api/outbox";
+import { profileStorageKey } from "./profileStorage";
+import { calculateScore, isProjectComplete } from "./scoring";
+import { notifyLocationUnlocked, notifyProjectCompleted } from "./notifications";
+import { loadLeaderboardAnonymous } from "./leaderboard";
+import {
+  canUnlockInSession,
+  clearSession,
+  finishSession,
+  loadSession,
+  startSession,
+} from "./sessions";
+
+// The visit currently being recorded; visits are recorded one at a time so the
+// foreground screen and the background geofencing task cannot unlock a location twice
+let activeVisit = Promise.resolve();
+
+/**
+ * Returns the AsyncStorage key holding a profile's visited locations in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {string} The namespaced key.
+ */
+function visitedLocationsKey(projectId, profileId) {
+  return profileStorageKey(`visitedLocations_${projectId}`, profileId);
+}
+
+/**
+ * Returns the AsyncStorage key holding a profile's visit history in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {string} The namespaced key.
+ */
+function visitHistoryKey(projectId, profileId) {
+  return profileStorageKey(`visitHistory_${projectId}`, profileId);
+}
+
+/**
+ * Loads the locations a profile has visited in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {Promise<Set<number>>} IDs of the visited locations.
+ */
+export async function loadVisitedLocations(projectId, profileId) {
+  const data = await AsyncStorage.getItem(visitedLocationsKey(projectId, profileId));
+  return new Set(data ? JSON.parse(data) : []);
+}
+
+/**
+ * Loads a profile's visits in a project, in the order they were made.
+ * Visits recorded before the history was kept are not included.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @param {string|null} [profileId] - The profile's ID; defaults to the active profile.
+ * @returns {Promise<Array<{locationId: number, visitedAt: string, unlockMethod: string}>>}
+ * The visits, oldest first.
+ */
+export async function loadVisitHistory(projectId, profileId) {
+  const data = await AsyncStorage.getItem(visitHistoryKey(projectId, profileId));
+  return data ? JSON.parse(data) : [];
+}
+
+/**
+ * Clears the active profile's visited locations, visit history and play session in a project.
+ *
+ * @param {number|string} projectId - The project's ID.
+ * @returns {Promise<void>}
+ */
+export async function clearVisitedLocations(projectId) {
+  await AsyncStorage.multiRemove([
+    visitedLocationsKey(projectId),
+    visitHistoryKey(projectId),
+  ]);
+  await clearSession(projectId);
+}
+
+/**
+ * Records a location visit: validates the tracking record, stores the location as visited
+ * with the time it was visited, and queues the record for the backend. The unlock is announced
+ * with a local notification, as is the project's completion when the visit unlocks the last
+ * location or earns the last point. This is the single visit pipeline used by GPS, QR code and
+ * background geofence unlocks.
+ *
+ * Locations are only unlocked during the participant's play session. The first visit to an
+ * untimed project starts the session; timed projects must be started explicitly, and once the
+ * session is finished or its time runs out no more visits are recorded, so the score is frozen.
+ * The visit that completes the project finishes the session.
+ *
+ * @param {object} options - The visit.
+ * @param {object} options.project - The project the location belongs to.
+ * @param {Array} options.locations - The project's locations, used to score the visit.
+ * @param {object} options.location - The location being visited.
+ * @param {string} options.unlockMethod - How the location was unlocked (UNLOCK_METHOD_GPS or UNLOCK_METHOD_QR).
+ * @param {string} options.participantUsername - Username of the participant visiting.
+ * @returns {Promise<{recorded: boolean, completed: boolean, visited: Set<number>}>}
+ * Whether the visit was recorded (false if the location was already visited or the session
+ * is not active), whether this visit completed the project, and the updated visited location IDs.
+ * @throws {ValidationError} If the tracking record is missing required fields.
+ */
+export function recordVisit(options) {
+  const result = activeVisit.then(() => performRecordVisit(options));
+  activeVisit = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Performs a single visit. See recordVisit.
+ *
+ * @returns {Promise<{recorded: boolean, completed: boolean, visited: Set<number>}>}
+ */
+async function performRecordVisit({
+  project,
+  locations,
+  location,
+  unlockMethod,
+  participantUsername,
+}) {
+  const visited = await loadVisitedLocations(project.id);
+  if (visited.has(location.id)) {
+    console.log(
+      `Location ${location.location_name} has already been visited. Skipping.`
+    );
+    return { recorded: false, completed: false, visited };
+  }
+
+  const session = await loadSession(project.id);
+  if (!canUnlockInSession(project, session)) {
+    console.log(
+      `No active session in ${project.title}. Not unlocking ${location.location_name}.`
+    );
+    return { recorded: false, completed: false, visited };
+  }
+
+  // Build the tracking record first so an invalid visit is not stored locally
+  const points =
+    calculateScore(project, locations, [...visited, location.id]).breakdown.find(
+      (item) => item.locationId === location.id
+    )?.earned ?? 0;
+  const visit = {
+    projectId: project.id,
+    locationId: location.id,
+    participantUsername,
+    points,
+    unlockMethod,
+    timestamp: new Date().toISOString(),
+    anonymous: await loadLeaderboardAnonymous(),
+  };
+  await buildTrackingRecord(visit);
+  if (!session) await startSession(project.id);
+
+  const updatedVisited = new Set(visited);
+  updatedVisited.add(location.id);
+  await AsyncStorage.setItem(
+    visitedLocationsKey(project.id),
+    JSON.stringify(Array.from(updatedVisited))
+  );
+  const history = await loadVisitHistory(project.id);
+  history.push({
+    locationId: location.id,
+    visitedAt: visit.timestamp,
+    unlockMethod,
+  });
+  await AsyncStorage.setItem(
+    visitHistoryKey(project.id),
+    JSON.stringify(history)
+  );
+  console.log("AsyncStorage updated with visited locations.");
+
+  // queue tracking record; it is sent in the background, and retried there if offline
+  await enqueueTracking(visit);
+  console.log(`Tracking for location ${location.location_name} queued for sync.`);
+
+  const completed =
+    !isProjectComplete(project, locations, visited) &&
+    isProjectComplete(project, locations, updatedVisited);
+  if (completed) await finishSession(project);
+
+  // A failed notification must not fail the visit, which is already recorded
+  try {
+    const network = await NetInfo.fetch();
+    const online = !!network.isConnected && network.isInternetReachable !== false;
+    await notifyLocationUnlocked(location, project, online);
+    if (completed) await notifyProjectCompleted(project);
+  } catch (error) {
+    console.error("Notification Error:", error);
+  }
+  return { recorded: true, completed, visited: updatedVisited };
+}